@@ -6,9 +6,14 @@ import helmet from "helmet";
 import mongoose from "mongoose";
 
 import { errorHandler, notFound } from "./middleware/errorHandler.middleware.js";
+import { ApiError } from "./utils/ApiError.js";
 import { requestContextMiddleware } from "./middleware/requestContext.middleware.js";
 import {
+  COOKIE_SECRET,
   CORS_ORIGINS,
+  MEDIA_PUBLIC_URL,
+  MEDIA_STORAGE_DRIVER,
+  MEDIA_UPLOAD_DIR,
   TRUST_PROXY,
   TRUST_PROXY_HOPS,
   WEBHOOK_RAW_BODY_LIMIT,
@@ -18,6 +23,15 @@ import paymentRoutes from "./routes/payment.routes.js";
 import youtubeRoutes from "./routes/youtube.routes.js";
 import authRoutes from "./routes/auth.routes.js";
 import newsRoutes from "./routes/news.routes.js";
+import categoryRoutes from "./routes/category.routes.js";
+import feedRoutes from "./routes/feed.routes.js";
+import sitemapRoutes from "./routes/sitemap.routes.js";
+import mediaRoutes from "./routes/media.routes.js";
+import commentRoutes from "./routes/comment.routes.js";
+import bookmarkRoutes from "./routes/bookmark.routes.js";
+import cacheRoutes from "./routes/cache.routes.js";
+import streamRoutes from "./routes/stream.routes.js";
+import pushRoutes from "./routes/push.routes.js";
 
 import { subscriptionWebhook } from "./controllers/payment.controller.js";
 
@@ -58,7 +72,7 @@ app.post(
 
 // Normal middleware
 app.use(express.json({ limit: "20kb" }));
-app.use(cookieParser());
+app.use(cookieParser(COOKIE_SECRET));
 app.use(compression());
 app.use(helmet());
 
@@ -80,7 +94,35 @@ app.use(
 app.use("/api/v1/payments", paymentRoutes);
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/news", newsRoutes);
+app.use("/api/v1/categories", categoryRoutes);
+app.use("/api/v1/media", mediaRoutes);
+app.use("/api/v1/comments", commentRoutes);
+app.use("/api/v1/bookmarks", bookmarkRoutes);
+app.use("/api/v1/cache", cacheRoutes);
+app.use("/api/v1/stream", streamRoutes);
+app.use("/api/v1/push", pushRoutes);
 app.use("/api/youtube", youtubeRoutes);
+app.use("/feeds", feedRoutes);
+app.use(sitemapRoutes);
+
+// Uploaded images on local disk. File names are content hashes, so they are
+// cached as immutable; other origins (web and app clients) may embed them.
+if (MEDIA_STORAGE_DRIVER === "local" && MEDIA_PUBLIC_URL.startsWith("/")) {
+  app.use(
+    MEDIA_PUBLIC_URL,
+    (req, res, next) => {
+      res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+      next();
+    },
+    express.static(MEDIA_UPLOAD_DIR, {
+      dotfiles: "ignore",
+      immutable: true,
+      index: false,
+      maxAge: "1y",
+    }),
+    (req, res, next) => next(new ApiError(404, "Media not found"))
+  );
+}
 
 // ---------------------------------------------
 // HEALTH CHECKS (REAL)
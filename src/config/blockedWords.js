@@ -0,0 +1,29 @@
+/**
+ * Default blocked words for reader comments, per language. Extend them per
+ * deployment with COMMENT_BLOCKED_WORDS (comma-separated, any language).
+ * Malayalam entries match as word stems, so inflected forms are caught too;
+ * Manglish (romanised Malayalam) entries are listed with English.
+ */
+export const DEFAULT_BLOCKED_WORDS = {
+  en: [
+    "asshole",
+    "bastard",
+    "bitch",
+    "bullshit",
+    "cunt",
+    "dickhead",
+    "fuck",
+    "fucker",
+    "fucking",
+    "motherfucker",
+    "shit",
+    "slut",
+    "whore",
+    "kunna",
+    "mairu",
+    "myre",
+    "poori",
+    "thayoli",
+  ],
+  ml: ["മൈര്", "കുണ്ണ", "പൂറ്", "തായോളി"],
+};
@@ -1,4 +1,5 @@
 import dotenv from "dotenv";
+import path from "path";
 
 dotenv.config();
 
@@ -41,6 +42,56 @@ export const YOUTUBE_SYNC_LOCK_TTL_MS =
   Number(process.env.YOUTUBE_SYNC_LOCK_TTL_MS) || 15 * 60 * 1000;
 export const YOUTUBE_SYNC_MAX_PAGES =
   Number(process.env.YOUTUBE_SYNC_MAX_PAGES) || 5;
+export const NEWS_PUBLISH_CRON_SCHEDULE =
+  process.env.NEWS_PUBLISH_CRON_SCHEDULE || "* * * * *";
+export const NEWS_PUBLISH_LOCK_TTL_MS =
+  Number(process.env.NEWS_PUBLISH_LOCK_TTL_MS) || 2 * 60 * 1000;
+export const BREAKING_NEWS_EXPIRY_CRON_SCHEDULE =
+  process.env.BREAKING_NEWS_EXPIRY_CRON_SCHEDULE || "* * * * *";
+
+/** Breaking news lifetime when the admin does not give one, and the cap */
+export const BREAKING_NEWS_DEFAULT_MINUTES =
+  Number(process.env.BREAKING_NEWS_DEFAULT_MINUTES) || 120;
+export const BREAKING_NEWS_MAX_MINUTES =
+  Number(process.env.BREAKING_NEWS_MAX_MINUTES) || 48 * 60;
+/** Days a deleted article stays in the trash before the worker purges it */
+export const NEWS_TRASH_RETENTION_DAYS =
+  Number(process.env.NEWS_TRASH_RETENTION_DAYS) || 30;
+export const NEWS_TRASH_PURGE_CRON_SCHEDULE =
+  process.env.NEWS_TRASH_PURGE_CRON_SCHEDULE || "30 3 * * *";
+/** How long article views are buffered in memory before being written */
+export const NEWS_VIEW_FLUSH_INTERVAL_MS =
+  Number(process.env.NEWS_VIEW_FLUSH_INTERVAL_MS) || 5000;
+/**
+ * In-process read cache for hot listings and articles: store driver, entry
+ * bound, how long an entry may be served (0 turns the cache off) and how
+ * often API processes check for invalidations made by other processes
+ */
+export const READ_CACHE_DRIVER = process.env.READ_CACHE_DRIVER || "memory";
+export const READ_CACHE_MAX_ENTRIES =
+  Number(process.env.READ_CACHE_MAX_ENTRIES) || 1000;
+export const READ_CACHE_TTL_SECONDS =
+  process.env.READ_CACHE_TTL_SECONDS &&
+  Number.isFinite(Number(process.env.READ_CACHE_TTL_SECONDS))
+    ? Math.max(0, Number(process.env.READ_CACHE_TTL_SECONDS))
+    : 30;
+export const READ_CACHE_SYNC_INTERVAL_MS =
+  Number(process.env.READ_CACHE_SYNC_INTERVAL_MS) || 2000;
+/**
+ * Server-Sent Events stream (GET /api/v1/stream): comment heartbeat interval,
+ * how often each API process polls the shared event collection, how long
+ * events are kept for Last-Event-ID resume, and open streams per process
+ */
+export const STREAM_HEARTBEAT_SECONDS =
+  Number(process.env.STREAM_HEARTBEAT_SECONDS) || 25;
+export const STREAM_POLL_INTERVAL_MS =
+  Number(process.env.STREAM_POLL_INTERVAL_MS) || 1000;
+export const STREAM_EVENT_RETENTION_HOURS =
+  Number(process.env.STREAM_EVENT_RETENTION_HOURS) || 24;
+export const STREAM_MAX_CLIENTS =
+  Number(process.env.STREAM_MAX_CLIENTS) || 1000;
+/** Stories that can be pinned to the top of the listing at once */
+export const MAX_PINNED_NEWS = Number(process.env.MAX_PINNED_NEWS) || 3;
 
 /** Behind reverse proxy (NGINX, ALB): set TRUST_PROXY=1 for correct req.ip / rate-limit keys */
 export const TRUST_PROXY =
@@ -55,6 +106,75 @@ export const WEBHOOK_RAW_BODY_LIMIT =
 export const YOUTUBE_CHANNEL_ID =
   process.env.YOUTUBE_CHANNEL_ID || "UCbXD5z_1OflMuiekSJfEO8Q";
 
+/** Characters of body shown to readers without access to a premium article */
+export const NEWS_TEASER_LENGTH =
+  Number(process.env.NEWS_TEASER_LENGTH) || 280;
+
+/** Premium articles a reader without a subscription may open per calendar month (IST) */
+export const PAYWALL_FREE_ARTICLES_PER_MONTH =
+  process.env.PAYWALL_FREE_ARTICLES_PER_MONTH &&
+  Number.isInteger(Number(process.env.PAYWALL_FREE_ARTICLES_PER_MONTH))
+    ? Math.max(0, Number(process.env.PAYWALL_FREE_ARTICLES_PER_MONTH))
+    : 3;
+
+/** Secret for signed cookies (device id); falls back to the access token secret */
+export const COOKIE_SECRET =
+  process.env.COOKIE_SECRET || process.env.ACCESS_TOKEN_SECRET;
+
+/** Public website fronted by this API; used for links in feeds and sitemaps */
+export const SITE_URL = (process.env.SITE_URL || "http://localhost:3000").replace(
+  /\/+$/,
+  ""
+);
+export const SITE_NAME = process.env.SITE_NAME || "NewsBullet";
+export const SITE_LANGUAGE = process.env.SITE_LANGUAGE || "ml";
+
+/** Uploaded images: storage driver, local upload directory and public URL prefix */
+export const MEDIA_STORAGE_DRIVER = process.env.MEDIA_STORAGE_DRIVER || "local";
+export const MEDIA_UPLOAD_DIR = path.resolve(
+  process.env.MEDIA_UPLOAD_DIR || "uploads"
+);
+export const MEDIA_PUBLIC_URL = (process.env.MEDIA_PUBLIC_URL || "/media").replace(
+  /\/+$/,
+  ""
+);
+export const MEDIA_MAX_FILE_SIZE_MB =
+  Number(process.env.MEDIA_MAX_FILE_SIZE_MB) || 5;
+
+/** Largest archive accepted by POST /api/v1/news/import (bigger: use the CLI) */
+export const NEWS_IMPORT_MAX_FILE_SIZE_MB =
+  Number(process.env.NEWS_IMPORT_MAX_FILE_SIZE_MB) || 50;
+
+/** Comments: extra blocked words (comma-separated); publish clean ones at once */
+export const COMMENT_BLOCKED_WORDS = (process.env.COMMENT_BLOCKED_WORDS || "")
+  .split(",")
+  .map((word) => word.trim())
+  .filter(Boolean);
+export const COMMENT_AUTO_APPROVE = process.env.COMMENT_AUTO_APPROVE === "true";
+
+/**
+ * Web Push for breaking news: VAPID key pair (npm run push:vapid-keys) and
+ * contact (a mailto: or https: URL). WEB_PUSH_SERVICE_URL, when set, receives every push in place
+ * of the subscription's own push service (e.g. a local stand-in for tests).
+ */
+export const WEB_PUSH_VAPID_PUBLIC_KEY =
+  process.env.WEB_PUSH_VAPID_PUBLIC_KEY || "";
+export const WEB_PUSH_VAPID_PRIVATE_KEY =
+  process.env.WEB_PUSH_VAPID_PRIVATE_KEY || "";
+export const WEB_PUSH_SUBJECT = process.env.WEB_PUSH_SUBJECT || SITE_URL;
+export const WEB_PUSH_SERVICE_URL = (
+  process.env.WEB_PUSH_SERVICE_URL || ""
+).replace(/\/+$/, "");
+/** Worker fan-out: schedule, subscriptions per batch, tries per push, TTL */
+export const WEB_PUSH_CRON_SCHEDULE =
+  process.env.WEB_PUSH_CRON_SCHEDULE || "*/15 * * * * *";
+export const WEB_PUSH_BATCH_SIZE =
+  Number(process.env.WEB_PUSH_BATCH_SIZE) || 100;
+export const WEB_PUSH_MAX_ATTEMPTS =
+  Number(process.env.WEB_PUSH_MAX_ATTEMPTS) || 3;
+export const WEB_PUSH_TTL_SECONDS =
+  Number(process.env.WEB_PUSH_TTL_SECONDS) || 60 * 60;
+
 // Optional envs (safe to be undefined if feature not used)
 export const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || "";
 export const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || "";
@@ -0,0 +1,40 @@
+/**
+ * Role → permission map. Permissions are "resource:action"; "*" grants all.
+ * Keep route guards (requirePermission) and controller checks (hasPermission)
+ * pointed at these names rather than at roles.
+ */
+export const ROLES = ["user", "author", "editor", "moderator", "admin"];
+
+export const ROLE_PERMISSIONS = {
+  user: [],
+  author: [
+    "news:create", // drafts only without news:publish
+    "news:update:own",
+    "news:read:unpublished",
+    "media:upload",
+    "paywall:bypass",
+  ],
+  editor: [
+    "news:create",
+    "news:update:own",
+    "news:update:any",
+    "news:publish",
+    "news:delete",
+    "news:feature",
+    "news:live",
+    "news:revisions",
+    "news:read:unpublished",
+    "categories:manage",
+    "media:upload",
+    "media:delete",
+    "videos:sync",
+    "paywall:bypass",
+  ],
+  moderator: ["comments:moderate", "users:ban"],
+  admin: ["*"],
+};
+
+export const hasPermission = (user, permission) => {
+  const granted = ROLE_PERMISSIONS[user?.role] || [];
+  return granted.includes("*") || granted.includes(permission);
+};
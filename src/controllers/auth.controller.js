@@ -1,9 +1,11 @@
 
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { User } from "../models/User.js";
+import { ROLES } from "../config/permissions.js";
 
 /* ======================================================
    TOKEN HELPERS
@@ -262,3 +264,38 @@ export const getCurrentUser = asyncHandler(async (req, res) => {
     .status(200)
     .json(new ApiResponse(200, user, "User fetched successfully"));
 });
+
+/* ======================================================
+   UPDATE USER ROLE (ADMIN)
+====================================================== */
+
+export const updateUserRole = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+  const { role } = req.body;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  if (!ROLES.includes(role)) {
+    throw new ApiError(400, `Role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  if (String(req.user._id) === String(userId)) {
+    throw new ApiError(400, "You cannot change your own role");
+  }
+
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $set: { role } },
+    { new: true, runValidators: true }
+  ).select("-password -refreshToken");
+
+  if (!user) {
+    throw new ApiError(404, "User not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, user, "User role updated successfully"));
+});
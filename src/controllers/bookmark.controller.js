@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import Bookmark, { BOOKMARK_TYPES } from "../models/Bookmark.js";
+import { News } from "../models/News.js";
+import YoutubeVideo from "../models/YoutubeVideo.js";
+import {
+  localizeNews,
+  resolveRequestedLanguage,
+} from "../services/newsLocalization.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const MAX_BOOKMARKS_PER_USER = 1000;
+const NEWS_SUMMARY_FIELDS = [
+  "heading",
+  "slug",
+  "language",
+  "translations.language",
+  "translations.heading",
+  "isPremium",
+  "category",
+  "heroImage",
+  "publishedAt",
+].join(" ");
+const VIDEO_SUMMARY_FIELDS = "videoId title thumbnail link publishedAt";
+
+/** Published, non-trashed articles only: anything else shows as unavailable */
+const findNewsSummaries = (ids) =>
+  News.find({ _id: { $in: ids }, status: "published" }, NEWS_SUMMARY_FIELDS)
+    .populate("category", "name slug")
+    .populate("heroImage", "url width height alt")
+    .lean();
+
+const findVideoSummaries = (ids) =>
+  YoutubeVideo.find({ _id: { $in: ids } }, VIDEO_SUMMARY_FIELDS).lean();
+
+const saveBookmark = async (req, res, itemType, item) => {
+  const filter = { user: req.user._id, itemType, item };
+  const sendSaved = (bookmark, created) =>
+    res
+      .status(created ? 201 : 200)
+      .json(
+        new ApiResponse(
+          created ? 201 : 200,
+          { bookmark },
+          created
+            ? "Saved to your reading list"
+            : "Already in your reading list"
+        )
+      );
+
+  const existing = await Bookmark.findOne(filter).lean();
+
+  if (existing) {
+    return sendSaved(existing, false);
+  }
+
+  const count = await Bookmark.countDocuments({ user: req.user._id });
+
+  if (count >= MAX_BOOKMARKS_PER_USER) {
+    throw new ApiError(
+      400,
+      `You can save at most ${MAX_BOOKMARKS_PER_USER} items. Remove some first.`
+    );
+  }
+
+  try {
+    return sendSaved(await Bookmark.create(filter), true);
+  } catch (error) {
+    // Saved twice at once (double tap): the other request won
+    if (error?.code !== 11000) {
+      throw error;
+    }
+    return sendSaved(await Bookmark.findOne(filter).lean(), false);
+  }
+};
+
+const removeBookmark = async (req, res, filter) => {
+  const { deletedCount } = await Bookmark.deleteOne({
+    ...filter,
+    user: req.user._id,
+  });
+
+  if (!deletedCount) {
+    throw new ApiError(404, "Bookmark not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Removed from your reading list"));
+};
+
+const findNewsIdOr404 = async (slug, { publishedOnly = true } = {}) => {
+  const news = await News.findOne(
+    publishedOnly ? { slug, status: "published" } : { slug }
+  )
+    .select("_id")
+    .lean();
+
+  if (!news) {
+    throw new ApiError(404, "News not found");
+  }
+
+  return news._id;
+};
+
+const findVideoIdOr404 = async (videoId) => {
+  const video = await YoutubeVideo.findOne({ videoId }).select("_id").lean();
+
+  if (!video) {
+    throw new ApiError(404, "Video not found");
+  }
+
+  return video._id;
+};
+
+/**
+ * GET /api/v1/bookmarks?type=news|video
+ * Newest first. Items deleted or unpublished since they were saved come back
+ * with `item: null` and `available: false` so the app can offer to remove them.
+ */
+export const getBookmarks = asyncHandler(async (req, res) => {
+  const parsedPage = Number(req.query.page);
+  const parsedLimit = Number(req.query.limit);
+  const page = Number.isFinite(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(50, parsedLimit)
+      : 20;
+  const lang = resolveRequestedLanguage(req);
+  const filter = { user: req.user._id };
+
+  if (req.query.type !== undefined) {
+    if (!BOOKMARK_TYPES.includes(req.query.type)) {
+      throw new ApiError(
+        400,
+        `Type must be one of: ${BOOKMARK_TYPES.join(", ")}`
+      );
+    }
+    filter.itemType = req.query.type;
+  }
+
+  const bookmarks = await Bookmark.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = bookmarks.length > limit;
+  if (hasMore) {
+    bookmarks.pop();
+  }
+
+  const idsOf = (type) =>
+    bookmarks
+      .filter(({ itemType }) => itemType === type)
+      .map(({ item }) => item);
+  const newsIds = idsOf("news");
+  const videoIds = idsOf("video");
+
+  const [news, videos] = await Promise.all([
+    newsIds.length ? findNewsSummaries(newsIds) : [],
+    videoIds.length ? findVideoSummaries(videoIds) : [],
+  ]);
+  const items = new Map([
+    ...news.map((item) => [`news:${item._id}`, localizeNews(item, lang)]),
+    ...videos.map((item) => [`video:${item._id}`, item]),
+  ]);
+
+  res.vary("Accept-Language");
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        bookmarks: bookmarks.map(({ _id, itemType, item, createdAt }) => {
+          const summary = items.get(`${itemType}:${item}`) ?? null;
+          return {
+            _id,
+            itemType,
+            item: summary,
+            available: summary !== null,
+            createdAt,
+          };
+        }),
+        hasMore,
+        pagination: { page, limit },
+      },
+      "Reading list fetched successfully"
+    )
+  );
+});
+
+/**
+ * PUT /api/v1/bookmarks/news/:slug
+ */
+export const bookmarkNews = asyncHandler(async (req, res) =>
+  saveBookmark(req, res, "news", await findNewsIdOr404(req.params.slug))
+);
+
+/**
+ * DELETE /api/v1/bookmarks/news/:slug
+ */
+export const unbookmarkNews = asyncHandler(async (req, res) =>
+  removeBookmark(req, res, {
+    itemType: "news",
+    item: await findNewsIdOr404(req.params.slug, { publishedOnly: false }),
+  })
+);
+
+/**
+ * PUT /api/v1/bookmarks/videos/:videoId
+ */
+export const bookmarkVideo = asyncHandler(async (req, res) =>
+  saveBookmark(req, res, "video", await findVideoIdOr404(req.params.videoId))
+);
+
+/**
+ * DELETE /api/v1/bookmarks/videos/:videoId
+ */
+export const unbookmarkVideo = asyncHandler(async (req, res) =>
+  removeBookmark(req, res, {
+    itemType: "video",
+    item: await findVideoIdOr404(req.params.videoId),
+  })
+);
+
+/**
+ * DELETE /api/v1/bookmarks/:id
+ * Also removes bookmarks whose article or video no longer exists.
+ */
+export const deleteBookmark = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ApiError(400, "Invalid bookmark id");
+  }
+
+  return removeBookmark(req, res, { _id: req.params.id });
+});
@@ -0,0 +1,253 @@
+import { News, NEWS_LIST_FIELDS } from "../models/News.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  localizeNews,
+  resolveRequestedLanguage,
+} from "../services/newsLocalization.js";
+import { invalidateNewsCaches } from "../services/readCache.js";
+import { publishBreakingNewsEvent } from "../services/eventStream.js";
+import { enqueueBreakingNewsPush } from "../services/pushNotifications.js";
+import {
+  BREAKING_NEWS_DEFAULT_MINUTES,
+  BREAKING_NEWS_MAX_MINUTES,
+  MAX_PINNED_NEWS,
+} from "../config/config.js";
+
+const BREAKING_NEWS_LIMIT = 10;
+
+const findPublishedNewsOr404 = async (slug) => {
+  if (!slug || typeof slug !== "string") {
+    throw new ApiError(400, "Slug is required");
+  }
+
+  const news = await News.findOne({ slug })
+    .select("_id status isBreaking breakingUntil")
+    .lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  if (news.status !== "published") {
+    throw new ApiError(400, "Only published news can be highlighted");
+  }
+
+  return news;
+};
+
+/**
+ * Resolve the breaking window from { until } or { durationMinutes }.
+ */
+const resolveBreakingUntil = ({ until, durationMinutes }) => {
+  const now = Date.now();
+  const maxUntil = now + BREAKING_NEWS_MAX_MINUTES * 60 * 1000;
+  let breakingUntil;
+
+  if (until !== undefined) {
+    breakingUntil = new Date(until);
+
+    if (typeof until !== "string" || Number.isNaN(breakingUntil.getTime())) {
+      throw new ApiError(400, "until must be a valid date");
+    }
+  } else {
+    const minutes =
+      durationMinutes === undefined
+        ? BREAKING_NEWS_DEFAULT_MINUTES
+        : Number(durationMinutes);
+
+    if (!Number.isFinite(minutes) || minutes <= 0) {
+      throw new ApiError(400, "durationMinutes must be a positive number");
+    }
+
+    breakingUntil = new Date(now + minutes * 60 * 1000);
+  }
+
+  if (breakingUntil.getTime() <= now) {
+    throw new ApiError(400, "Breaking news expiry must be in the future");
+  }
+
+  if (breakingUntil.getTime() > maxUntil) {
+    throw new ApiError(
+      400,
+      `Breaking news can last at most ${BREAKING_NEWS_MAX_MINUTES} minutes`
+    );
+  }
+
+  return breakingUntil;
+};
+
+/**
+ * Current breaking stories, newest first
+ * GET /api/v1/news/breaking
+ */
+export const getBreakingNews = asyncHandler(async (req, res) => {
+  const lang = resolveRequestedLanguage(req);
+  const news = await News.find(
+    {
+      status: "published",
+      isBreaking: true,
+      // The expiry job runs periodically; never serve an expired flag
+      breakingUntil: { $gt: new Date() },
+    },
+    `${NEWS_LIST_FIELDS} breakingAt breakingUntil`
+  )
+    .populate("category", "name slug")
+    .populate("author", "name")
+    .populate("heroImage", "url width height mimeType alt caption")
+    .sort({ breakingAt: -1 })
+    .limit(BREAKING_NEWS_LIMIT)
+    .lean();
+
+  res.vary("Accept-Language");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { news: news.map((item) => localizeNews(item, lang)) },
+        news.length ? "Breaking news fetched successfully" : "No breaking news"
+      )
+    );
+});
+
+/**
+ * Mark an article as breaking until a given time
+ * PUT /api/v1/news/:slug/breaking
+ */
+export const setBreakingNews = asyncHandler(async (req, res) => {
+  const breakingUntil = resolveBreakingUntil(req.body || {});
+  const current = await findPublishedNewsOr404(req.params.slug);
+  // Extending a story that is still breaking does not notify again
+  const wasBreaking =
+    current.isBreaking && current.breakingUntil > new Date();
+
+  const news = await News.findByIdAndUpdate(
+    current._id,
+    { $set: { isBreaking: true, breakingAt: new Date(), breakingUntil } },
+    { new: true }
+  ).lean();
+
+  await invalidateNewsCaches(news?.slug);
+  if (news) {
+    await publishBreakingNewsEvent(news);
+    if (!wasBreaking) {
+      await enqueueBreakingNewsPush(news);
+    }
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "News marked as breaking"));
+});
+
+/**
+ * Clear the breaking flag
+ * DELETE /api/v1/news/:slug/breaking
+ */
+export const clearBreakingNews = asyncHandler(async (req, res) => {
+  const news = await News.findOneAndUpdate(
+    { slug: req.params.slug },
+    { $set: { isBreaking: false }, $unset: { breakingUntil: 1 } },
+    { new: true }
+  ).lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  await invalidateNewsCaches(news.slug);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "Breaking flag cleared"));
+});
+
+/**
+ * Pin an article to the top of the listing
+ * PUT /api/v1/news/:slug/pin
+ * Only published stories count towards MAX_PINNED_NEWS: the listing shows
+ * no others. Pinning a pinned story leaves it as it is.
+ */
+export const pinNews = asyncHandler(async (req, res) => {
+  const { _id } = await findPublishedNewsOr404(req.params.slug);
+  const pinnedFilter = { status: "published", isPinned: true };
+  const limitError = new ApiError(
+    409,
+    `At most ${MAX_PINNED_NEWS} stories can be pinned. Unpin one first.`
+  );
+
+  const pinnedCount = await News.countDocuments({
+    ...pinnedFilter,
+    _id: { $ne: _id },
+  });
+
+  if (pinnedCount >= MAX_PINNED_NEWS) {
+    throw limitError;
+  }
+
+  // Conditional, so a story unpublished or pinned meanwhile is left alone
+  let news = await News.findOneAndUpdate(
+    { _id, status: "published", isPinned: { $ne: true } },
+    { $set: { isPinned: true, pinnedAt: new Date() } },
+    { new: true }
+  ).lean();
+
+  if (!news) {
+    news = await News.findOne({ _id, ...pinnedFilter }).lean();
+
+    if (!news) {
+      throw new ApiError(400, "Only published news can be highlighted");
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { news }, "News is already pinned"));
+  }
+
+  // Pins racing past the count check: the earliest MAX_PINNED_NEWS stay,
+  // later ones are taken back
+  const kept = await News.find(pinnedFilter)
+    .sort({ pinnedAt: 1, _id: 1 })
+    .limit(MAX_PINNED_NEWS)
+    .select("_id")
+    .lean();
+
+  if (!kept.some((item) => item._id.equals(_id))) {
+    await News.updateOne(
+      { _id, pinnedAt: news.pinnedAt },
+      { $set: { isPinned: false }, $unset: { pinnedAt: 1 } }
+    );
+    throw limitError;
+  }
+
+  await invalidateNewsCaches(news.slug);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "News pinned successfully"));
+});
+
+/**
+ * Unpin an article
+ * DELETE /api/v1/news/:slug/pin
+ */
+export const unpinNews = asyncHandler(async (req, res) => {
+  const news = await News.findOneAndUpdate(
+    { slug: req.params.slug },
+    { $set: { isPinned: false }, $unset: { pinnedAt: 1 } },
+    { new: true }
+  ).lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  await invalidateNewsCaches(news.slug);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "News unpinned successfully"));
+});
@@ -0,0 +1,15 @@
+import { getReadCacheStats } from "../services/readCache.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+/**
+ * GET /api/v1/cache/stats
+ * Read cache hit/miss counters for this API process (since it started).
+ */
+export const getCacheStats = asyncHandler(async (req, res) => {
+  const stats = await getReadCacheStats();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, stats, "Cache stats fetched successfully"));
+});
@@ -0,0 +1,155 @@
+import Category from "../models/Category.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { slugify } from "../utils/slugify.js";
+import { hasPermission } from "../config/permissions.js";
+
+const buildCategoryData = (body, { partial = false } = {}) => {
+  const { name, slug, description, sortOrder, isActive } = body;
+  const data = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== "string" || !name.trim()) {
+      throw new ApiError(400, "Category name is required");
+    }
+    data.name = name.trim();
+  }
+
+  if (slug !== undefined) {
+    if (typeof slug !== "string" || !slugify(slug)) {
+      throw new ApiError(400, "Slug must be a non-empty string");
+    }
+    data.slug = slugify(slug);
+  } else if (!partial) {
+    data.slug = slugify(data.name);
+  }
+
+  if (!partial && !data.slug) {
+    throw new ApiError(400, "Could not derive a slug from the name; provide one");
+  }
+
+  if (description !== undefined) {
+    if (typeof description !== "string") {
+      throw new ApiError(400, "Description must be a string");
+    }
+    data.description = description.trim();
+  }
+
+  if (sortOrder !== undefined) {
+    if (!Number.isInteger(Number(sortOrder))) {
+      throw new ApiError(400, "sortOrder must be an integer");
+    }
+    data.sortOrder = Number(sortOrder);
+  }
+
+  if (isActive !== undefined) {
+    if (typeof isActive !== "boolean") {
+      throw new ApiError(400, "isActive must be a boolean");
+    }
+    data.isActive = isActive;
+  }
+
+  return data;
+};
+
+/**
+ * Create a category
+ * POST /api/v1/categories
+ */
+export const createCategory = asyncHandler(async (req, res) => {
+  const data = buildCategoryData(req.body);
+
+  const category = await Category.create(data);
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { category }, "Category created successfully"));
+});
+
+/**
+ * List active categories (managers may pass ?includeInactive=true)
+ * GET /api/v1/categories
+ */
+export const getAllCategories = asyncHandler(async (req, res) => {
+  const includeInactive =
+    req.query.includeInactive === "true" &&
+    hasPermission(req.user, "categories:manage");
+
+  const categories = await Category.find(includeInactive ? {} : { isActive: true })
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { categories }, "Categories fetched successfully")
+    );
+});
+
+/**
+ * Get a category by slug
+ * GET /api/v1/categories/:slug
+ */
+export const getCategoryBySlug = asyncHandler(async (req, res) => {
+  const category = await Category.findOne({
+    slug: req.params.slug,
+    isActive: true,
+  }).lean();
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { category }, "Category fetched successfully"));
+});
+
+/**
+ * Update a category
+ * PUT /api/v1/categories/:slug
+ */
+export const updateCategory = asyncHandler(async (req, res) => {
+  const data = buildCategoryData(req.body, { partial: true });
+
+  if (Object.keys(data).length === 0) {
+    throw new ApiError(400, "At least one field must be provided");
+  }
+
+  const category = await Category.findOneAndUpdate(
+    { slug: req.params.slug },
+    { $set: data },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { category }, "Category updated successfully"));
+});
+
+/**
+ * Soft delete / deactivate a category. Articles keep their reference.
+ * DELETE /api/v1/categories/:slug
+ */
+export const deleteCategory = asyncHandler(async (req, res) => {
+  const category = await Category.findOneAndUpdate(
+    { slug: req.params.slug },
+    { isActive: false },
+    { new: true }
+  ).lean();
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { category }, "Category deactivated successfully")
+    );
+});
@@ -0,0 +1,334 @@
+import mongoose from "mongoose";
+import Comment, { COMMENT_STATUSES } from "../models/Comment.js";
+import { News } from "../models/News.js";
+import { User } from "../models/User.js";
+import { DEFAULT_BLOCKED_WORDS } from "../config/blockedWords.js";
+import {
+  COMMENT_AUTO_APPROVE,
+  COMMENT_BLOCKED_WORDS,
+} from "../config/config.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { createWordFilter } from "../utils/wordFilter.js";
+
+const COMMENT_MAX_LENGTH = 2000;
+const MAX_REPLY_DEPTH = 3;
+const AUTHOR_FIELDS = "name";
+const PUBLIC_FIELDS = "parent root depth body author createdAt";
+
+const findBlockedWords = createWordFilter([
+  ...DEFAULT_BLOCKED_WORDS.en,
+  ...DEFAULT_BLOCKED_WORDS.ml,
+  ...COMMENT_BLOCKED_WORDS,
+]);
+
+const parsePaging = (query, { defaultLimit = 20, maxLimit = 50 } = {}) => {
+  const parsedPage = Number(query.page);
+  const parsedLimit = Number(query.limit);
+
+  return {
+    page: Number.isFinite(parsedPage) && parsedPage > 0 ? parsedPage : 1,
+    limit:
+      Number.isFinite(parsedLimit) && parsedLimit > 0
+        ? Math.min(maxLimit, parsedLimit)
+        : defaultLimit,
+  };
+};
+
+const findPublishedNewsOr404 = async (slug) => {
+  if (!slug || typeof slug !== "string") {
+    throw new ApiError(400, "Slug is required");
+  }
+
+  const news = await News.findOne({ slug, status: "published" })
+    .select("_id")
+    .lean();
+
+  if (!news) {
+    throw new ApiError(404, "News not found");
+  }
+
+  return news;
+};
+
+const findCommentOr404 = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid comment id");
+  }
+
+  const comment = await Comment.findById(id).lean();
+
+  if (!comment) {
+    throw new ApiError(404, "Comment not found");
+  }
+
+  return comment;
+};
+
+/**
+ * Nest replies under their parents. Replies whose parent is not in the list
+ * (not approved) are left out with it.
+ */
+const buildThreads = (roots, replies) => {
+  const byId = new Map(
+    [...roots, ...replies].map((comment) => [
+      String(comment._id),
+      { ...comment, replies: [] },
+    ])
+  );
+
+  for (const reply of replies) {
+    byId.get(String(reply.parent))?.replies.push(byId.get(String(reply._id)));
+  }
+
+  return roots.map((root) => byId.get(String(root._id)));
+};
+
+/**
+ * GET /api/v1/news/:slug/comments
+ * Approved comments only, newest threads first, replies oldest first.
+ */
+export const getNewsComments = asyncHandler(async (req, res) => {
+  const news = await findPublishedNewsOr404(req.params.slug);
+  const { page, limit } = parsePaging(req.query);
+
+  const roots = await Comment.find(
+    { news: news._id, status: "approved", parent: null },
+    PUBLIC_FIELDS
+  )
+    .populate("author", AUTHOR_FIELDS)
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = roots.length > limit;
+  if (hasMore) {
+    roots.pop();
+  }
+
+  const replies = roots.length
+    ? await Comment.find(
+        { root: { $in: roots.map(({ _id }) => _id) }, status: "approved" },
+        PUBLIC_FIELDS
+      )
+        .populate("author", AUTHOR_FIELDS)
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+    : [];
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        comments: buildThreads(roots, replies),
+        hasMore,
+        pagination: { page, limit },
+      },
+      "Comments fetched successfully"
+    )
+  );
+});
+
+/**
+ * POST /api/v1/news/:slug/comments
+ * Body: { body, parentId? }. Comments containing blocked words are always
+ * held for review; clean ones too unless COMMENT_AUTO_APPROVE is on.
+ */
+export const createComment = asyncHandler(async (req, res) => {
+  if (req.user.status === "blocked") {
+    throw new ApiError(403, "Your account is blocked from commenting");
+  }
+
+  const { body, parentId } = req.body;
+
+  if (typeof body !== "string" || !body.trim()) {
+    throw new ApiError(400, "Comment body is required");
+  }
+
+  if (body.trim().length > COMMENT_MAX_LENGTH) {
+    throw new ApiError(
+      400,
+      `Comment must be at most ${COMMENT_MAX_LENGTH} characters`
+    );
+  }
+
+  const news = await findPublishedNewsOr404(req.params.slug);
+  let thread = { parent: null, root: null, depth: 0 };
+
+  if (parentId !== undefined && parentId !== null) {
+    const parent = await findCommentOr404(parentId);
+
+    if (
+      String(parent.news) !== String(news._id) ||
+      parent.status !== "approved"
+    ) {
+      throw new ApiError(400, "You can only reply to a visible comment");
+    }
+
+    if (parent.depth >= MAX_REPLY_DEPTH) {
+      throw new ApiError(400, "This thread cannot be nested any deeper");
+    }
+
+    thread = {
+      parent: parent._id,
+      root: parent.root || parent._id,
+      depth: parent.depth + 1,
+    };
+  }
+
+  const flaggedTerms = findBlockedWords(body);
+  const status =
+    flaggedTerms.length === 0 && COMMENT_AUTO_APPROVE ? "approved" : "pending";
+
+  const comment = await Comment.create({
+    news: news._id,
+    author: req.user._id,
+    body: body.trim(),
+    status,
+    flaggedTerms,
+    ...thread,
+  });
+
+  return res
+    .status(201)
+    .json(
+      new ApiResponse(
+        201,
+        { comment },
+        status === "approved"
+          ? "Comment posted successfully"
+          : "Comment submitted for review"
+      )
+    );
+});
+
+/**
+ * GET /api/v1/comments?status=pending|approved|rejected
+ * Moderation queue, oldest first so nothing waits forever.
+ */
+export const getCommentQueue = asyncHandler(async (req, res) => {
+  const status = req.query.status ?? "pending";
+  const { page, limit } = parsePaging(req.query);
+
+  if (!COMMENT_STATUSES.includes(status)) {
+    throw new ApiError(
+      400,
+      `Status must be one of: ${COMMENT_STATUSES.join(", ")}`
+    );
+  }
+
+  const comments = await Comment.find({ status })
+    .populate("author", "name email status")
+    .populate("news", "heading slug")
+    .sort({ createdAt: 1, _id: 1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = comments.length > limit;
+  if (hasMore) {
+    comments.pop();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { comments, hasMore, pagination: { page, limit } },
+      "Comments fetched successfully"
+    )
+  );
+});
+
+const moderateComment = (status) =>
+  asyncHandler(async (req, res) => {
+    await findCommentOr404(req.params.id);
+
+    const reason =
+      typeof req.body?.reason === "string" ? req.body.reason.trim() : "";
+
+    const update = {
+      $set: { status, moderatedBy: req.user._id, moderatedAt: new Date() },
+    };
+
+    if (status === "rejected" && reason) {
+      update.$set.rejectionReason = reason;
+    } else {
+      update.$unset = { rejectionReason: 1 };
+    }
+
+    const comment = await Comment.findByIdAndUpdate(
+      req.params.id,
+      update,
+      { new: true, runValidators: true }
+    ).lean();
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { comment }, `Comment ${status}`));
+  });
+
+/**
+ * PATCH /api/v1/comments/:id/approve
+ */
+export const approveComment = moderateComment("approved");
+
+/**
+ * PATCH /api/v1/comments/:id/reject  Body: { reason? }
+ */
+export const rejectComment = moderateComment("rejected");
+
+/**
+ * POST /api/v1/comments/users/:userId/ban  Body: { removeComments? }
+ * Blocks the account (no login, no refresh, no commenting) and rejects its
+ * pending comments, or all of them with removeComments: true.
+ */
+export const banCommenter = asyncHandler(async (req, res) => {
+  const { userId } = req.params;
+
+  if (!mongoose.isValidObjectId(userId)) {
+    throw new ApiError(400, "Invalid user id");
+  }
+
+  const target = await User.findById(userId).select("role status").lean();
+
+  if (!target) {
+    throw new ApiError(404, "User not found");
+  }
+
+  if (target.role !== "user") {
+    throw new ApiError(403, "Staff accounts cannot be banned here");
+  }
+
+  await User.updateOne(
+    { _id: userId },
+    { $set: { status: "blocked" }, $unset: { refreshToken: 1 } }
+  );
+
+  const { modifiedCount } = await Comment.updateMany(
+    {
+      author: userId,
+      status:
+        req.body?.removeComments === true ? { $ne: "rejected" } : "pending",
+    },
+    {
+      $set: {
+        status: "rejected",
+        moderatedBy: req.user._id,
+        moderatedAt: new Date(),
+        rejectionReason: "Author banned",
+      },
+    }
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { userId, rejectedComments: modifiedCount },
+        "User banned successfully"
+      )
+    );
+});
@@ -0,0 +1,268 @@
+import { News } from "../models/News.js";
+import Category from "../models/Category.js";
+import YoutubeVideo from "../models/YoutubeVideo.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { buildTeaser } from "../services/paywall.js";
+import { latestDate, sendNotModifiedIfFresh } from "../utils/httpCache.js";
+import { XML_DECLARATION, xmlElement } from "../utils/xml.js";
+import { SITE_LANGUAGE, SITE_NAME, SITE_URL } from "../config/config.js";
+
+const FEED_ITEM_LIMIT = 50;
+const FEED_CACHE_CONTROL = "public, max-age=300";
+
+const articleUrl = (slug) => `${SITE_URL}/news/${encodeURIComponent(slug)}`;
+const selfUrl = (req) =>
+  `${req.protocol}://${req.get("host")}${req.originalUrl.split("?")[0]}`;
+
+const findCategoryOr404 = async (slug) => {
+  const category = await Category.findOne({ slug, isActive: true }).lean();
+
+  if (!category) {
+    throw new ApiError(404, "Category not found");
+  }
+
+  return category;
+};
+
+const loadNewsItems = (filter = {}) =>
+  News.find(
+    { ...filter, status: "published" },
+    "heading body slug category publishedAt createdAt updatedAt"
+  )
+    .populate("category", "name slug")
+    .sort({ publishedAt: -1, createdAt: -1 })
+    .limit(FEED_ITEM_LIMIT)
+    .lean();
+
+const renderNewsRss = ({ req, title, link, description, items }) => {
+  const entries = items
+    .map((news) =>
+      xmlElement(
+        "item",
+        [
+          xmlElement("title", news.heading),
+          xmlElement("link", articleUrl(news.slug)),
+          xmlElement("guid", articleUrl(news.slug), { isPermaLink: "true" }),
+          xmlElement(
+            "pubDate",
+            new Date(news.publishedAt || news.createdAt).toUTCString()
+          ),
+          xmlElement("description", buildTeaser(news.body)),
+          news.category ? xmlElement("category", news.category.name) : "",
+        ].join(""),
+        {},
+        { raw: true }
+      )
+    )
+    .join("");
+
+  const lastBuildDate = latestDate(items.map((item) => item.updatedAt));
+
+  const channel = [
+    xmlElement("title", title),
+    xmlElement("link", link),
+    xmlElement("description", description),
+    xmlElement("language", SITE_LANGUAGE),
+    lastBuildDate
+      ? xmlElement("lastBuildDate", lastBuildDate.toUTCString())
+      : "",
+    xmlElement("atom:link", null, {
+      href: selfUrl(req),
+      rel: "self",
+      type: "application/rss+xml",
+    }),
+    entries,
+  ].join("");
+
+  return `${XML_DECLARATION}${xmlElement(
+    "rss",
+    xmlElement("channel", channel, {}, { raw: true }),
+    { version: "2.0", "xmlns:atom": "http://www.w3.org/2005/Atom" },
+    { raw: true }
+  )}`;
+};
+
+const renderNewsAtom = ({ req, title, link, items }) => {
+  const updated =
+    latestDate(items.map((item) => item.updatedAt)) || new Date(0);
+
+  const entries = items
+    .map((news) =>
+      xmlElement(
+        "entry",
+        [
+          xmlElement("title", news.heading),
+          xmlElement("link", null, {
+            href: articleUrl(news.slug),
+            rel: "alternate",
+          }),
+          xmlElement("id", articleUrl(news.slug)),
+          xmlElement(
+            "published",
+            new Date(news.publishedAt || news.createdAt).toISOString()
+          ),
+          xmlElement("updated", new Date(news.updatedAt).toISOString()),
+          xmlElement("summary", buildTeaser(news.body)),
+          news.category
+            ? xmlElement("category", null, {
+                term: news.category.slug,
+                label: news.category.name,
+              })
+            : "",
+        ].join(""),
+        {},
+        { raw: true }
+      )
+    )
+    .join("");
+
+  const feed = [
+    xmlElement("title", title),
+    xmlElement("id", link),
+    xmlElement("link", null, { href: link, rel: "alternate" }),
+    xmlElement("link", null, { href: selfUrl(req), rel: "self" }),
+    xmlElement("updated", updated.toISOString()),
+    xmlElement("author", xmlElement("name", SITE_NAME), {}, { raw: true }),
+    entries,
+  ].join("");
+
+  return `${XML_DECLARATION}${xmlElement(
+    "feed",
+    feed,
+    { xmlns: "http://www.w3.org/2005/Atom", "xml:lang": SITE_LANGUAGE },
+    { raw: true }
+  )}`;
+};
+
+const sendNewsFeed = async (req, res, { format, categorySlug }) => {
+  const category = categorySlug ? await findCategoryOr404(categorySlug) : null;
+  const items = await loadNewsItems(
+    category ? { category: category._id } : {}
+  );
+
+  if (
+    sendNotModifiedIfFresh(req, res, items, {
+      variant: [`news:${format}:${category?.slug || "all"}`],
+      cacheControl: FEED_CACHE_CONTROL,
+    })
+  ) {
+    return;
+  }
+
+  const title = category ? `${SITE_NAME} — ${category.name}` : SITE_NAME;
+  const link = category
+    ? `${SITE_URL}/category/${encodeURIComponent(category.slug)}`
+    : SITE_URL;
+
+  if (format === "atom") {
+    return res
+      .type("application/atom+xml; charset=utf-8")
+      .send(renderNewsAtom({ req, title, link, items }));
+  }
+
+  return res.type("application/rss+xml; charset=utf-8").send(
+    renderNewsRss({
+      req,
+      title,
+      link,
+      description: category?.description || `Latest news from ${SITE_NAME}`,
+      items,
+    })
+  );
+};
+
+/**
+ * GET /feeds/news.rss
+ */
+export const getNewsRssFeed = asyncHandler((req, res) =>
+  sendNewsFeed(req, res, { format: "rss" })
+);
+
+/**
+ * GET /feeds/news.atom
+ */
+export const getNewsAtomFeed = asyncHandler((req, res) =>
+  sendNewsFeed(req, res, { format: "atom" })
+);
+
+/**
+ * GET /feeds/categories/:slug/news.rss
+ */
+export const getCategoryRssFeed = asyncHandler((req, res) =>
+  sendNewsFeed(req, res, { format: "rss", categorySlug: req.params.slug })
+);
+
+/**
+ * GET /feeds/categories/:slug/news.atom
+ */
+export const getCategoryAtomFeed = asyncHandler((req, res) =>
+  sendNewsFeed(req, res, { format: "atom", categorySlug: req.params.slug })
+);
+
+/**
+ * GET /feeds/videos.rss
+ */
+export const getVideosRssFeed = asyncHandler(async (req, res) => {
+  const videos = await YoutubeVideo.find()
+    .sort({ publishedAt: -1 })
+    .limit(FEED_ITEM_LIMIT)
+    .lean();
+
+  if (
+    sendNotModifiedIfFresh(req, res, videos, {
+      variant: ["videos:rss"],
+      cacheControl: FEED_CACHE_CONTROL,
+    })
+  ) {
+    return;
+  }
+
+  const items = videos
+    .map((video) =>
+      xmlElement(
+        "item",
+        [
+          xmlElement("title", video.title),
+          xmlElement("link", video.link),
+          xmlElement("guid", video.videoId, { isPermaLink: "false" }),
+          video.publishedAt
+            ? xmlElement("pubDate", new Date(video.publishedAt).toUTCString())
+            : "",
+          xmlElement("description", video.description),
+          video.thumbnail
+            ? xmlElement("media:thumbnail", null, { url: video.thumbnail })
+            : "",
+        ].join(""),
+        {},
+        { raw: true }
+      )
+    )
+    .join("");
+
+  const channel = [
+    xmlElement("title", `${SITE_NAME} Videos`),
+    xmlElement("link", SITE_URL),
+    xmlElement("description", `Latest videos from ${SITE_NAME}`),
+    xmlElement("language", SITE_LANGUAGE),
+    xmlElement("atom:link", null, {
+      href: selfUrl(req),
+      rel: "self",
+      type: "application/rss+xml",
+    }),
+    items,
+  ].join("");
+
+  return res.type("application/rss+xml; charset=utf-8").send(
+    `${XML_DECLARATION}${xmlElement(
+      "rss",
+      xmlElement("channel", channel, {}, { raw: true }),
+      {
+        version: "2.0",
+        "xmlns:atom": "http://www.w3.org/2005/Atom",
+        "xmlns:media": "http://search.yahoo.com/mrss/",
+      },
+      { raw: true }
+    )}`
+  );
+});
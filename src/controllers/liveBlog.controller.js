@@ -0,0 +1,569 @@
+import mongoose from "mongoose";
+import LiveBlogEntry from "../models/LiveBlogEntry.js";
+import { News } from "../models/News.js";
+import { resolveArticleAccess } from "../services/paywall.js";
+import { invalidateNewsCaches } from "../services/readCache.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+} from "../utils/cursor.js";
+import { applyCacheValidators, buildEtag } from "../utils/httpCache.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: "live-blog" });
+
+const MAX_PINNED_ENTRIES = 3;
+const HEADING_MAX_LENGTH = 200;
+const BODY_MAX_LENGTH = 5000;
+const AUTHOR_FIELDS = "name";
+const ENTRY_FIELDS =
+  "seq heading body author isPinned pinnedAt editedAt deletedAt createdAt";
+const LIVE_BLOG_FIELDS =
+  "slug status isPremium isLiveBlog liveBlogEndedAt updatedAt";
+// Readers poll every few seconds; a short shared cache absorbs the burst
+const LIVE_CACHE_CONTROL = "public, max-age=5, s-maxage=5";
+const PRIVATE_CACHE_CONTROL = "private, no-cache";
+/**
+ * A sequence number is taken before its entry is written, so a later number
+ * can land first. Readers stop short of numbers still being written, for at
+ * most this long (the write may have failed).
+ */
+const PENDING_SEQ_WAIT_MS = 5000;
+
+const findNewsOr404 = async (slug, filter = {}) => {
+  if (!slug || typeof slug !== "string") {
+    throw new ApiError(400, "Slug is required");
+  }
+
+  const news = await News.findOne({ slug, ...filter })
+    .select(LIVE_BLOG_FIELDS)
+    .lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  return news;
+};
+
+const findLiveEntryOr404 = async (news, entryId) => {
+  if (!mongoose.isValidObjectId(entryId)) {
+    throw new ApiError(400, "Invalid entry id");
+  }
+
+  const entry = await LiveBlogEntry.findOne({
+    _id: entryId,
+    news: news._id,
+    deletedAt: null,
+  }).lean();
+
+  if (!entry) {
+    throw new ApiError(404, "Live blog entry not found");
+  }
+
+  return entry;
+};
+
+/**
+ * Validate heading/body from the request. On create the body is required;
+ * on edit only the fields sent are returned.
+ */
+const parseEntryText = (body = {}, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.body !== undefined || !partial) {
+    if (typeof body.body !== "string" || !body.body.trim()) {
+      throw new ApiError(400, "Entry body is required");
+    }
+
+    if (body.body.trim().length > BODY_MAX_LENGTH) {
+      throw new ApiError(
+        400,
+        `Entry body must be at most ${BODY_MAX_LENGTH} characters`
+      );
+    }
+
+    data.body = body.body.trim();
+  }
+
+  if (body.heading !== undefined && body.heading !== null) {
+    if (typeof body.heading !== "string") {
+      throw new ApiError(400, "Entry heading must be a string");
+    }
+
+    if (body.heading.trim().length > HEADING_MAX_LENGTH) {
+      throw new ApiError(
+        400,
+        `Entry heading must be at most ${HEADING_MAX_LENGTH} characters`
+      );
+    }
+
+    data.heading = body.heading.trim();
+  } else if (body.heading === null) {
+    data.heading = "";
+  }
+
+  return data;
+};
+
+/**
+ * Take the next number in the article's change sequence and mark it pending
+ * (dropping pending marks too old to matter). Counter only: the article's
+ * updatedAt (and its caches) stay as they are.
+ */
+const nextLiveBlogSeq = async (newsId) => {
+  const news = await News.findOneAndUpdate(
+    { _id: newsId },
+    [
+      {
+        $set: { liveBlogSeq: { $add: [{ $ifNull: ["$liveBlogSeq", 0] }, 1] } },
+      },
+      {
+        $set: {
+          liveBlogPending: {
+            $concatArrays: [
+              {
+                $filter: {
+                  input: { $ifNull: ["$liveBlogPending", []] },
+                  cond: {
+                    $gt: [
+                      "$$this.at",
+                      { $subtract: ["$$NOW", PENDING_SEQ_WAIT_MS] },
+                    ],
+                  },
+                },
+              },
+              [{ seq: "$liveBlogSeq", at: "$$NOW" }],
+            ],
+          },
+        },
+      },
+    ],
+    { new: true, timestamps: false }
+  )
+    .select("liveBlogSeq")
+    .lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  return news.liveBlogSeq;
+};
+
+/**
+ * Run `write(seq)` with the next sequence number, then clear its pending
+ * mark whether or not the write succeeded.
+ */
+const withLiveBlogSeq = async (newsId, write) => {
+  const seq = await nextLiveBlogSeq(newsId);
+
+  try {
+    return await write(seq);
+  } finally {
+    await News.updateOne(
+      { _id: newsId },
+      { $pull: { liveBlogPending: { seq } } },
+      { timestamps: false }
+    ).catch((error) => {
+      // Harmless: readers ignore it once PENDING_SEQ_WAIT_MS has passed
+      log.warn(
+        { err: error, news: newsId, seq },
+        "live_blog_seq_release_failed"
+      );
+    });
+  }
+};
+
+/**
+ * Highest sequence number readers can safely move up to (0 if none): the
+ * highest one written, short of any lower one still being written.
+ */
+const findReadableSeq = async (newsId) => {
+  const latest = await LiveBlogEntry.findOne({ news: newsId })
+    .sort({ seq: -1 })
+    .select("seq")
+    .lean();
+  // Read after `latest`: every lower number was taken by then, so any of
+  // them still unwritten is pending here
+  const { liveBlogPending = [] } =
+    (await News.findById(newsId).select("liveBlogPending").lean()) || {};
+  const cutoff = Date.now() - PENDING_SEQ_WAIT_MS;
+  const pending = liveBlogPending
+    .filter(({ at }) => at.getTime() > cutoff)
+    .map(({ seq }) => seq);
+
+  return Math.min(latest?.seq ?? 0, ...pending.map((seq) => seq - 1));
+};
+
+const toPublicEntry = ({ deletedAt, ...entry }) =>
+  deletedAt ? { _id: entry._id, seq: entry.seq, deleted: true } : entry;
+
+const byNewestFirst = (a, b) =>
+  b.createdAt - a.createdAt || String(b._id).localeCompare(String(a._id));
+
+/**
+ * GET /api/v1/news/:slug/live?since=&cursor=&limit=
+ * Entries newest first. Without `since`: the pinned entries and the latest
+ * page of the timeline (older pages via ?cursor=). With `since` (liveBlog.seq
+ * from the previous response): every entry added, edited, pinned or deleted
+ * after it; deleted ones come back as { _id, seq, deleted: true }.
+ */
+export const getLiveBlog = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug, {
+    status: "published",
+    isLiveBlog: true,
+  });
+  const parsedLimit = Number(req.query.limit);
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(100, parsedLimit)
+      : 20;
+  const since =
+    req.query.since === undefined || req.query.since === ""
+      ? null
+      : Number(req.query.since);
+  const cursor =
+    typeof req.query.cursor === "string" && req.query.cursor
+      ? decodeCursor(req.query.cursor)
+      : null;
+
+  if (since !== null && (!Number.isInteger(since) || since < 0)) {
+    throw new ApiError(400, "since must be a live blog seq number");
+  }
+
+  const [readableSeq, access] = await Promise.all([
+    findReadableSeq(news._id),
+    resolveArticleAccess({ news, user: req.user, deviceId: req.deviceId }),
+  ]);
+  const isShareable =
+    !news.isPremium && !req.user && !res.get("Set-Cookie");
+
+  // Signed-in readers may see more: shared caches must key on who is asking
+  res.vary(["Authorization", "Cookie"]);
+
+  const isFresh = applyCacheValidators(req, res, {
+    etag: buildEtag(
+      readableSeq,
+      news.liveBlogEndedAt?.getTime(),
+      since,
+      req.query.cursor,
+      limit,
+      access.locked
+    ),
+    cacheControl: isShareable ? LIVE_CACHE_CONTROL : PRIVATE_CACHE_CONTROL,
+  });
+
+  if (isFresh) {
+    return res.status(304).end();
+  }
+
+  const liveBlog = {
+    isLive: !news.liveBlogEndedAt,
+    endedAt: news.liveBlogEndedAt,
+    seq: readableSeq,
+  };
+
+  if (access.locked) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { liveBlog, access, pinned: [], entries: [], hasMore: false },
+          "Subscribe to follow this live blog"
+        )
+      );
+  }
+
+  if (since !== null) {
+    // Oldest changes first, so a client that is far behind catches up page
+    // by page (hasMore: poll again at once with the returned seq)
+    const changes =
+      since >= readableSeq
+        ? []
+        : await LiveBlogEntry.find(
+            { news: news._id, seq: { $gt: since, $lte: readableSeq } },
+            ENTRY_FIELDS
+          )
+            .populate("author", AUTHOR_FIELDS)
+            .sort({ seq: 1 })
+            .limit(limit + 1)
+            .lean();
+
+    const hasMore = changes.length > limit;
+    if (hasMore) {
+      changes.pop();
+    }
+
+    const lastSeq = changes.length ? changes[changes.length - 1].seq : since;
+
+    return res.status(200).json(
+      new ApiResponse(
+        200,
+        {
+          liveBlog: {
+            ...liveBlog,
+            seq: hasMore ? lastSeq : Math.max(readableSeq, lastSeq),
+          },
+          access,
+          entries: changes.sort(byNewestFirst).map(toPublicEntry),
+          hasMore,
+        },
+        "Live blog updates fetched successfully"
+      )
+    );
+  }
+
+  const timelineFilter = { news: news._id, deletedAt: null };
+
+  if (cursor) {
+    Object.assign(timelineFilter, buildCursorFilter("createdAt", cursor));
+  }
+
+  const [pinned, entries] = await Promise.all([
+    cursor
+      ? []
+      : LiveBlogEntry.find(
+          { news: news._id, isPinned: true, deletedAt: null },
+          ENTRY_FIELDS
+        )
+          .populate("author", AUTHOR_FIELDS)
+          .sort({ pinnedAt: -1 })
+          .limit(MAX_PINNED_ENTRIES)
+          .lean(),
+    LiveBlogEntry.find(timelineFilter, ENTRY_FIELDS)
+      .populate("author", AUTHOR_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean(),
+  ]);
+
+  const hasMore = entries.length > limit;
+  if (hasMore) {
+    entries.pop();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        liveBlog,
+        access,
+        pinned: pinned.map(toPublicEntry),
+        entries: entries.map(toPublicEntry),
+        hasMore,
+        nextCursor: hasMore
+          ? encodeCursor(entries[entries.length - 1], "createdAt")
+          : null,
+      },
+      "Live blog fetched successfully"
+    )
+  );
+});
+
+/**
+ * PUT /api/v1/news/:slug/live
+ * Turn the article into a live blog, or reopen one that has ended.
+ */
+export const startLiveBlog = asyncHandler(async (req, res) => {
+  const { _id } = await findNewsOr404(req.params.slug);
+
+  const news = await News.findByIdAndUpdate(
+    _id,
+    { $set: { isLiveBlog: true, liveBlogEndedAt: null } },
+    { new: true }
+  )
+    .select(LIVE_BLOG_FIELDS)
+    .lean();
+
+  await invalidateNewsCaches(news?.slug);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "Live blog started"));
+});
+
+/**
+ * DELETE /api/v1/news/:slug/live
+ * End the live blog. Its entries stay readable; no new ones can be added.
+ */
+export const endLiveBlog = asyncHandler(async (req, res) => {
+  const { _id } = await findNewsOr404(req.params.slug, { isLiveBlog: true });
+
+  const news = await News.findByIdAndUpdate(
+    _id,
+    { $set: { liveBlogEndedAt: new Date() } },
+    { new: true }
+  )
+    .select(LIVE_BLOG_FIELDS)
+    .lean();
+
+  await invalidateNewsCaches(news?.slug);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "Live blog ended"));
+});
+
+/**
+ * POST /api/v1/news/:slug/live/entries  Body: { body, heading? }
+ */
+export const addLiveBlogEntry = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug, { isLiveBlog: true });
+
+  if (news.liveBlogEndedAt) {
+    throw new ApiError(409, "This live blog has ended");
+  }
+
+  const text = parseEntryText(req.body);
+
+  const entry = await withLiveBlogSeq(news._id, (seq) =>
+    LiveBlogEntry.create({
+      news: news._id,
+      seq,
+      author: req.user._id,
+      ...text,
+    })
+  );
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { entry }, "Live blog entry added"));
+});
+
+/**
+ * PATCH /api/v1/news/:slug/live/entries/:entryId
+ * Body: { body?, heading?, isPinned? }. Also allowed after the blog ends,
+ * for corrections.
+ */
+export const updateLiveBlogEntry = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug, { isLiveBlog: true });
+  const current = await findLiveEntryOr404(news, req.params.entryId);
+  const { isPinned } = req.body || {};
+  const text = parseEntryText(req.body, { partial: true });
+  const update = { $set: {} };
+  const limitError = new ApiError(
+    409,
+    `At most ${MAX_PINNED_ENTRIES} entries can be pinned. Unpin one first.`
+  );
+
+  if (isPinned !== undefined && typeof isPinned !== "boolean") {
+    throw new ApiError(400, "isPinned must be a boolean");
+  }
+
+  if (Object.keys(text).length) {
+    Object.assign(update.$set, text, {
+      editedAt: new Date(),
+      editedBy: req.user._id,
+    });
+  }
+
+  if (isPinned === true && !current.isPinned) {
+    const pinnedCount = await LiveBlogEntry.countDocuments({
+      news: news._id,
+      isPinned: true,
+      deletedAt: null,
+    });
+
+    if (pinnedCount >= MAX_PINNED_ENTRIES) {
+      throw limitError;
+    }
+
+    Object.assign(update.$set, { isPinned: true, pinnedAt: new Date() });
+  } else if (isPinned === false && current.isPinned) {
+    update.$set.isPinned = false;
+    update.$unset = { pinnedAt: 1 };
+  }
+
+  if (Object.keys(update.$set).length === 0 && !update.$unset) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { entry: current }, "No changes to apply"));
+  }
+
+  const entry = await withLiveBlogSeq(news._id, (seq) =>
+    LiveBlogEntry.findOneAndUpdate(
+      { _id: current._id, deletedAt: null },
+      { ...update, $set: { ...update.$set, seq } },
+      { new: true, runValidators: true }
+    ).lean()
+  );
+
+  if (!entry) {
+    throw new ApiError(404, "Live blog entry not found");
+  }
+
+  if (update.$set.isPinned === true) {
+    // Pins racing past the count check: the earliest MAX_PINNED_ENTRIES
+    // stay, a later one is undone along with the rest of its edit
+    const kept = await LiveBlogEntry.find({
+      news: news._id,
+      isPinned: true,
+      deletedAt: null,
+    })
+      .sort({ pinnedAt: 1, _id: 1 })
+      .limit(MAX_PINNED_ENTRIES)
+      .select("_id")
+      .lean();
+
+    if (!kept.some((item) => item._id.equals(entry._id))) {
+      const restore = { isPinned: false };
+      const unset = { pinnedAt: 1 };
+
+      for (const field of ["heading", "body", "editedAt", "editedBy"]) {
+        if (current[field] === undefined) {
+          unset[field] = 1;
+        } else {
+          restore[field] = current[field];
+        }
+      }
+
+      // A new number, so readers that saw the pin drop it again; skipped if
+      // the entry has changed since
+      await withLiveBlogSeq(news._id, (seq) =>
+        LiveBlogEntry.updateOne(
+          { _id: entry._id, seq: entry.seq },
+          { $set: { ...restore, seq }, $unset: unset }
+        )
+      );
+      throw limitError;
+    }
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { entry }, "Live blog entry updated"));
+});
+
+/**
+ * DELETE /api/v1/news/:slug/live/entries/:entryId
+ * Kept as a tombstone so polling readers learn to drop it.
+ */
+export const deleteLiveBlogEntry = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug, { isLiveBlog: true });
+  const current = await findLiveEntryOr404(news, req.params.entryId);
+
+  const entry = await withLiveBlogSeq(news._id, (seq) =>
+    LiveBlogEntry.findOneAndUpdate(
+      { _id: current._id, deletedAt: null },
+      {
+        $set: { deletedAt: new Date(), isPinned: false, seq },
+        $unset: { pinnedAt: 1 },
+      },
+      { new: true }
+    ).lean()
+  );
+
+  if (!entry) {
+    throw new ApiError(404, "Live blog entry not found");
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Live blog entry deleted"));
+});
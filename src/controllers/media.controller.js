@@ -0,0 +1,205 @@
+import { createHash } from "node:crypto";
+import mongoose from "mongoose";
+import Media from "../models/Media.js";
+import { News } from "../models/News.js";
+import { ALLOWED_IMAGE_TYPES } from "../middleware/upload.middleware.js";
+import { getMediaStorage } from "../services/mediaStorage.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getImageInfo } from "../utils/imageInfo.js";
+
+const TEXT_FIELD_LIMITS = { alt: 300, caption: 500 };
+
+const parseMediaText = (body = {}) => {
+  const data = {};
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELD_LIMITS)) {
+    if (body[field] === undefined) continue;
+
+    if (typeof body[field] !== "string") {
+      throw new ApiError(400, `${field} must be a string`);
+    }
+
+    const value = body[field].trim();
+
+    if (value.length > maxLength) {
+      throw new ApiError(
+        400,
+        `${field} must be at most ${maxLength} characters`
+      );
+    }
+
+    data[field] = value;
+  }
+
+  return data;
+};
+
+const findMediaOr404 = async (id) => {
+  if (!mongoose.isValidObjectId(id)) {
+    throw new ApiError(400, "Invalid media id");
+  }
+
+  const media = await Media.findById(id).lean();
+
+  if (!media) {
+    throw new ApiError(404, "Media not found");
+  }
+
+  return media;
+};
+
+/**
+ * POST /api/v1/media (multipart, field "file")
+ * Stores an image and records its type, dimensions and checksum. Uploading
+ * the same bytes again returns the existing record.
+ */
+export const uploadMedia = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "An image is required in the \"file\" field");
+  }
+
+  const text = parseMediaText(req.body);
+  const { buffer } = req.file;
+  const info = getImageInfo(buffer);
+
+  if (!info || !ALLOWED_IMAGE_TYPES.includes(info.mimeType)) {
+    throw new ApiError(415, "File is not a valid JPEG, PNG, GIF or WebP image");
+  }
+
+  const checksum = createHash("sha256").update(buffer).digest("hex");
+  const existing = await Media.findOne({ checksum }).lean();
+
+  if (existing) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(200, { media: existing }, "Media already uploaded")
+      );
+  }
+
+  // Content-addressed keys never change meaning, so files can be cached forever
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, "0");
+  const storageKey =
+    `${now.getUTCFullYear()}/${month}/${checksum}.${info.extension}`;
+  const storage = getMediaStorage();
+
+  await storage.save({ key: storageKey, buffer, contentType: info.mimeType });
+
+  let media;
+  try {
+    media = await Media.create({
+      storageDriver: storage.name,
+      storageKey,
+      url: storage.getUrl(storageKey),
+      originalName: req.file.originalname?.slice(0, 255),
+      mimeType: info.mimeType,
+      size: buffer.length,
+      width: info.width,
+      height: info.height,
+      checksum,
+      uploadedBy: req.user?._id,
+      ...text,
+    });
+  } catch (error) {
+    // Same image uploaded concurrently: keep the record that won
+    const winner =
+      error?.code === 11000 ? await Media.findOne({ checksum }).lean() : null;
+
+    if (!winner) {
+      await storage.remove(storageKey).catch(() => {});
+      throw error;
+    }
+
+    if (winner.storageKey !== storageKey) {
+      await storage.remove(storageKey).catch(() => {});
+    }
+
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { media: winner }, "Media already uploaded"));
+  }
+
+  return res
+    .status(201)
+    .json(new ApiResponse(201, { media }, "Media uploaded successfully"));
+});
+
+/**
+ * GET /api/v1/media
+ * Newest uploads first, for the editor's media picker.
+ */
+export const getMediaList = asyncHandler(async (req, res) => {
+  const parsedPage = Number(req.query.page);
+  const parsedLimit = Number(req.query.limit);
+  const page = Number.isFinite(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(50, parsedLimit)
+      : 20;
+
+  const media = await Media.find({})
+    .sort({ createdAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = media.length > limit;
+  if (hasMore) {
+    media.pop();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { media, hasMore, pagination: { page, limit } },
+      "Media fetched successfully"
+    )
+  );
+});
+
+/**
+ * PATCH /api/v1/media/:id
+ * Update alt text and caption.
+ */
+export const updateMedia = asyncHandler(async (req, res) => {
+  await findMediaOr404(req.params.id);
+
+  const media = await Media.findByIdAndUpdate(
+    req.params.id,
+    { $set: parseMediaText(req.body) },
+    { new: true, runValidators: true }
+  ).lean();
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { media }, "Media updated successfully"));
+});
+
+/**
+ * DELETE /api/v1/media/:id
+ * Refused while any article (including trashed ones) still uses the image.
+ */
+export const deleteMedia = asyncHandler(async (req, res) => {
+  const media = await findMediaOr404(req.params.id);
+
+  const inUse = await News.exists({
+    $or: [{ heroImage: media._id }, { gallery: media._id }],
+  }).setOptions({ withDeleted: true });
+
+  if (inUse) {
+    throw new ApiError(
+      409,
+      "Media is used by an article and cannot be deleted"
+    );
+  }
+
+  await Media.deleteOne({ _id: media._id });
+  await getMediaStorage().remove(media.storageKey);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Media deleted successfully"));
+});
@@ -1,26 +1,422 @@
-import { News } from "../models/News.js";
+import mongoose from "mongoose";
+import {
+  News,
+  NEWS_LANGUAGES,
+  NEWS_LIST_FIELDS,
+  NEWS_MAX_TAGS,
+  NEWS_STATUSES,
+  NEWS_TAG_MAX_LENGTH,
+} from "../models/News.js";
+import Category from "../models/Category.js";
+import Media from "../models/Media.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
-import { nanoid } from "nanoid";
+import {
+  applyPaywall,
+  buildTeaser,
+  resolveArticleAccess,
+} from "../services/paywall.js";
+import {
+  getTrendingNewsIds,
+  recordNewsView,
+  TRENDING_WINDOWS,
+} from "../services/newsViews.js";
+import { getRelatedNewsIds } from "../services/relatedNews.js";
+import { publishNewsEvent } from "../services/eventStream.js";
+import {
+  invalidateNewsCaches,
+  newsArticleCache,
+  newsListCache,
+} from "../services/readCache.js";
+import {
+  ensureBaselineRevision,
+  getChangedFields,
+  recordRevision,
+  REVISION_FIELDS,
+} from "../services/newsRevisions.js";
+import {
+  localizeNews,
+  mergeTranslations,
+  resolveRequestedLanguage,
+} from "../services/newsLocalization.js";
+import {
+  RESERVED_SLUGS,
+  generateUniqueSlug,
+  isDuplicateSlugError,
+  isSlugTaken,
+} from "../services/newsSlugs.js";
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+} from "../utils/cursor.js";
+import { parseDateParam } from "../utils/dateParam.js";
+import { buildSearchSnippet, getSearchTerms } from "../utils/searchSnippet.js";
+import { sendNotModifiedIfFresh } from "../utils/httpCache.js";
+import { slugify } from "../utils/slugify.js";
+import { MAX_PINNED_NEWS } from "../config/config.js";
+import { hasPermission } from "../config/permissions.js";
+
+const SEARCH_QUERY_MAX_LENGTH = 100;
+const CATEGORY_FIELDS = "name slug";
+const AUTHOR_FIELDS = "name";
+const MEDIA_FIELDS = "url width height mimeType alt caption";
+const MAX_GALLERY_ITEMS = 20;
+// Shared caches (CDN) may keep anonymous reads briefly; anything that depends
+// on who is asking is private and revalidated every time.
+const LIST_CACHE_CONTROL =
+  "public, max-age=30, s-maxage=60, stale-while-revalidate=120";
+const ARTICLE_CACHE_CONTROL =
+  "public, max-age=60, s-maxage=300, stale-while-revalidate=600";
+const PRIVATE_CACHE_CONTROL = "private, no-cache";
+
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags) || tags.some((tag) => typeof tag !== "string")) {
+    throw new ApiError(400, "Tags must be an array of strings");
+  }
+
+  const normalized = [
+    ...new Set(tags.map((tag) => tag.trim().toLowerCase()).filter(Boolean)),
+  ];
+
+  if (normalized.length > NEWS_MAX_TAGS) {
+    throw new ApiError(400, `At most ${NEWS_MAX_TAGS} tags are allowed`);
+  }
+
+  if (normalized.some((tag) => tag.length > NEWS_TAG_MAX_LENGTH)) {
+    throw new ApiError(
+      400,
+      `Tags must be at most ${NEWS_TAG_MAX_LENGTH} characters long`
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * Resolve a category slug from the request body to an active category id.
+ * `null` clears the category.
+ */
+const resolveCategoryId = async (value) => {
+  if (value === null) {
+    return null;
+  }
+
+  if (typeof value !== "string" || !value.trim()) {
+    throw new ApiError(400, "Category must be a category slug");
+  }
+
+  const category = await Category.findOne({
+    slug: value.trim().toLowerCase(),
+    isActive: true,
+  })
+    .select("_id")
+    .lean();
+
+  if (!category) {
+    throw new ApiError(400, "Selected category is not available");
+  }
+
+  return category._id;
+};
+
+/**
+ * Check media ids from the request body against the Media collection.
+ * Returns them de-duplicated, in the order given.
+ */
+const resolveMediaIds = async (value, field) => {
+  if (
+    !Array.isArray(value) ||
+    value.some((id) => !mongoose.isValidObjectId(id))
+  ) {
+    throw new ApiError(400, `${field} must be a list of media ids`);
+  }
+
+  const ids = [...new Set(value.map(String))];
+
+  if (ids.length > MAX_GALLERY_ITEMS) {
+    throw new ApiError(
+      400,
+      `${field} can hold at most ${MAX_GALLERY_ITEMS} images`
+    );
+  }
+
+  const found = await Media.countDocuments({ _id: { $in: ids } });
+
+  if (found !== ids.length) {
+    throw new ApiError(400, `${field} references media that does not exist`);
+  }
+
+  return ids.map((id) => new mongoose.Types.ObjectId(id));
+};
+
+/** `null` clears the hero image. */
+const resolveHeroImage = async (value) => {
+  if (value === null) {
+    return null;
+  }
+
+  const [id] = await resolveMediaIds([value], "heroImage");
+  return id;
+};
+
+const isOwner = (user, news) =>
+  Boolean(
+    user &&
+      news?.author &&
+      String(news.author._id ?? news.author) === String(user._id)
+  );
+
+/**
+ * Staff can read unpublished articles; those who may only edit their own
+ * (authors) see only their own.
+ */
+const canSeeUnpublished = (user, news) =>
+  hasPermission(user, "news:read:unpublished") &&
+  (hasPermission(user, "news:update:any") || isOwner(user, news));
+
+/**
+ * Readers only ever see published articles. Staff see published by default
+ * and may ask for ?status=draft|scheduled|archived|all.
+ */
+const buildStatusFilter = (req) => {
+  if (
+    !hasPermission(req.user, "news:read:unpublished") ||
+    req.query.status === undefined
+  ) {
+    return { status: "published" };
+  }
+
+  const ownOnly = !hasPermission(req.user, "news:update:any");
+
+  if (req.query.status === "all") {
+    return ownOnly
+      ? { $or: [{ status: "published" }, { author: req.user._id }] }
+      : {};
+  }
+
+  if (!NEWS_STATUSES.includes(req.query.status)) {
+    throw new ApiError(
+      400,
+      `Status must be one of: ${[...NEWS_STATUSES, "all"].join(", ")}`
+    );
+  }
+
+  return ownOnly && req.query.status !== "published"
+    ? { status: req.query.status, author: req.user._id }
+    : { status: req.query.status };
+};
+
+/**
+ * Without news:publish, writers may only work on drafts.
+ */
+const assertCanSetStatus = (user, status) => {
+  if (
+    status !== undefined &&
+    status !== "draft" &&
+    !hasPermission(user, "news:publish")
+  ) {
+    throw new ApiError(403, "Missing permission: news:publish");
+  }
+};
+
+/**
+ * Validate status/publishAt from the request body against the article's
+ * current state and return the fields to write.
+ */
+const buildPublishingData = ({ status, publishAt }, current = null) => {
+  if (status !== undefined && !NEWS_STATUSES.includes(status)) {
+    throw new ApiError(
+      400,
+      `Status must be one of: ${NEWS_STATUSES.join(", ")}`
+    );
+  }
+
+  let parsedPublishAt = null;
+
+  if (publishAt !== undefined && publishAt !== null) {
+    parsedPublishAt = new Date(publishAt);
+
+    if (
+      (typeof publishAt !== "string" && typeof publishAt !== "number") ||
+      Number.isNaN(parsedPublishAt.getTime())
+    ) {
+      throw new ApiError(400, "publishAt must be a valid date");
+    }
+  }
+
+  const data = {};
+  const nextStatus = status ?? current?.status ?? "published";
+  const effectivePublishAt =
+    publishAt !== undefined ? parsedPublishAt : current?.publishAt;
+
+  if (status !== undefined) {
+    data.status = status;
+  }
+
+  if (publishAt !== undefined) {
+    data.publishAt = parsedPublishAt;
+  }
+
+  if (nextStatus === "scheduled") {
+    if (!effectivePublishAt) {
+      throw new ApiError(400, "publishAt is required for scheduled news");
+    }
+
+    if (effectivePublishAt <= new Date()) {
+      throw new ApiError(400, "publishAt must be in the future");
+    }
+  }
+
+  // Keep the original publication time when re-publishing an archived article
+  if (
+    status !== undefined &&
+    nextStatus === "published" &&
+    !current?.publishedAt
+  ) {
+    data.publishedAt = new Date();
+  }
+
+  return data;
+};
+
+const SLUG_CREATE_ATTEMPTS = 3;
+
+const validateLanguage = (language) => {
+  if (language !== undefined && !NEWS_LANGUAGES.includes(language)) {
+    throw new ApiError(
+      400,
+      `Language must be one of: ${NEWS_LANGUAGES.join(", ")}`
+    );
+  }
+};
+
+/**
+ * Validate an admin-chosen slug and make sure no other article owns it.
+ */
+const resolveRequestedSlug = async (value, { excludeId } = {}) => {
+  const slug = typeof value === "string" ? slugify(value) : "";
+
+  if (!slug) {
+    throw new ApiError(
+      400,
+      "Slug must contain at least one letter or number"
+    );
+  }
+
+  if (RESERVED_SLUGS.has(slug)) {
+    throw new ApiError(400, `"${slug}" is reserved and cannot be a slug`);
+  }
+
+  if (await isSlugTaken(slug, { excludeId })) {
+    throw new ApiError(409, "Slug is already in use by another article");
+  }
+
+  return slug;
+};
+
+const parseListParam = (value) =>
+  (typeof value === "string" ? value : "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean);
 
 export const createNews = asyncHandler(async (req, res) => {
-  const { heading, body } = req.body;
+  const {
+    heading,
+    body,
+    language,
+    translations,
+    slug: requestedSlug,
+    isPremium,
+    category,
+    tags,
+    status,
+    publishAt,
+    heroImage,
+    gallery,
+  } = req.body;
 
   if (typeof heading !== "string" || typeof body !== "string") {
     throw new ApiError(400, "Heading and body must be valid strings");
   }
 
+  if (isPremium !== undefined && typeof isPremium !== "boolean") {
+    throw new ApiError(400, "isPremium must be a boolean");
+  }
+
   if (!heading.trim() || !body.trim()) {
     throw new ApiError(400, "Required fields are missing");
   }
 
-  const slug = nanoid(8);
+  validateLanguage(language);
+
+  const originalLanguage = language ?? "ml";
+  const normalizedTranslations =
+    translations === undefined
+      ? []
+      : mergeTranslations(translations, { language: originalLanguage });
+  assertCanSetStatus(req.user, status);
+
+  const publishing = buildPublishingData({
+    status:
+      status ??
+      (hasPermission(req.user, "news:publish") ? "published" : "draft"),
+    publishAt,
+  });
+  const normalizedTags = tags === undefined ? [] : normalizeTags(tags);
+  const categoryId =
+    category === undefined ? null : await resolveCategoryId(category);
+  const heroImageId =
+    heroImage === undefined ? null : await resolveHeroImage(heroImage);
+  const galleryIds =
+    gallery === undefined ? [] : await resolveMediaIds(gallery, "gallery");
+
+  const fixedSlug =
+    requestedSlug === undefined
+      ? null
+      : await resolveRequestedSlug(requestedSlug);
+
+  let news;
+
+  // Generated slugs can collide with a concurrent create; pick the next one
+  for (let attempt = 1; !news; attempt += 1) {
+    try {
+      news = await News.create({
+        heading: heading.trim(),
+        body: body.trim(),
+        language: originalLanguage,
+        translations: normalizedTranslations,
+        author: req.user?._id,
+        slug: fixedSlug || (await generateUniqueSlug(heading)),
+        isPremium: isPremium === true,
+        category: categoryId,
+        tags: normalizedTags,
+        heroImage: heroImageId,
+        gallery: galleryIds,
+        ...publishing,
+      });
+    } catch (error) {
+      if (
+        fixedSlug ||
+        !isDuplicateSlugError(error) ||
+        attempt >= SLUG_CREATE_ATTEMPTS
+      ) {
+        throw error;
+      }
+    }
+  }
 
-  const news = await News.create({
-    heading: heading.trim(),
-    body: body.trim(),
-    slug,
+  await invalidateNewsCaches(news.slug);
+  await publishNewsEvent(news);
+  await recordRevision({
+    news,
+    action: "create",
+    author: req.user?._id,
+    changedFields: REVISION_FIELDS.filter(
+      (field) => news[field] !== undefined && news[field] !== null
+    ),
   });
 
   return res
@@ -37,24 +433,205 @@ export const getAllNews = asyncHandler(async (req, res) => {
       ? Math.min(20, parsedLimit)
       : 10;
   const skip = (page - 1) * limit;
+  const lang = resolveRequestedLanguage(req);
+  const cursor =
+    typeof req.query.cursor === "string" && req.query.cursor
+      ? decodeCursor(req.query.cursor)
+      : null;
 
-  const news = await News.find({}, "heading slug createdAt")
-    .sort({ createdAt: -1 })
-    .skip(skip)
-    .limit(limit + 1)
-    .lean();
+  const filter = buildStatusFilter(req);
+  // Drafts have no publishedAt, so non-published listings order by creation
+  const sortField = filter.status === "published" ? "publishedAt" : "createdAt";
+  // Only what every reader sees is cached; staff status views always hit
+  // the database
+  const isPublicListing =
+    filter.status === "published" && Object.keys(filter).length === 1;
+  const categorySlug =
+    typeof req.query.category === "string"
+      ? req.query.category.trim().toLowerCase()
+      : "";
+  const tags = parseListParam(req.query.tag);
+
+  const loadListing = async () => {
+    if (categorySlug) {
+      const category = await Category.findOne({ slug: categorySlug })
+        .select("_id")
+        .lean();
+
+      if (!category) {
+        throw new ApiError(404, "Category not found");
+      }
+
+      filter.category = category._id;
+    }
+
+    // ?tag=a,b returns articles carrying every listed tag
+    if (tags.length) {
+      filter.tags = { $all: tags };
+    }
+
+    // ?cursor= (keyset) is stable while new stories arrive; ?page= is kept
+    // for older app versions. $and keeps it clear of an author's status $or
+    if (cursor) {
+      filter.$and = [buildCursorFilter(sortField, cursor)];
+    }
+
+    // Pinned stories lead the first page and are left out of the paged list
+    const isFirstPage = !cursor && page === 1;
+    const pinnedFilter = { ...filter, isPinned: true };
+    filter.isPinned = { $ne: true };
+
+    const [pinned, news] = await Promise.all([
+      isFirstPage
+        ? News.find(pinnedFilter, NEWS_LIST_FIELDS)
+            .populate("category", CATEGORY_FIELDS)
+            .populate("author", AUTHOR_FIELDS)
+            .populate("heroImage", MEDIA_FIELDS)
+            .sort({ pinnedAt: -1 })
+            .limit(MAX_PINNED_NEWS)
+            .lean()
+        : [],
+      News.find(filter, NEWS_LIST_FIELDS)
+        .populate("category", CATEGORY_FIELDS)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("heroImage", MEDIA_FIELDS)
+        .sort({ [sortField]: -1, _id: -1 })
+        .skip(cursor ? 0 : skip)
+        .limit(limit + 1)
+        .lean(),
+    ]);
+
+    return { pinned, news };
+  };
+
+  const listing = isPublicListing
+    ? await newsListCache.wrap(
+        JSON.stringify([
+          categorySlug,
+          [...tags].sort(),
+          cursor ? req.query.cursor : page,
+          limit,
+        ]),
+        loadListing
+      )
+    : await loadListing();
+  // Cached listings are shared between requests: work on a copy
+  const { pinned } = listing;
+  const news = [...listing.news];
 
   const hasMore = news.length > limit;
   if (hasMore) {
     news.pop();
   }
 
+  const nextCursor = hasMore
+    ? encodeCursor(news[news.length - 1], sortField)
+    : null;
+
+  news.unshift(...pinned);
+  // Signed-in readers get drafts and private caching: keep shared caches
+  // from handing them the anonymous copy
+  res.vary(["Accept-Language", "Authorization", "Cookie"]);
+
+  if (
+    sendNotModifiedIfFresh(req, res, news, {
+      variant: [lang, hasMore, nextCursor],
+      cacheControl:
+        req.user || req.query.status !== undefined
+          ? PRIVATE_CACHE_CONTROL
+          : LIST_CACHE_CONTROL,
+    })
+  ) {
+    return;
+  }
+
   if (news.length === 0) {
     return res
       .status(200)
       .json(new ApiResponse(200, { news: [] }, "No news available"));
   }
 
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        news: news.map((item) => localizeNews(item, lang)),
+        pagination: cursor
+          ? { limit, hasMore, nextCursor }
+          : { page, limit, hasMore, nextCursor },
+      },
+      "News fetched successfully"
+    )
+  );
+});
+
+export const searchNews = asyncHandler(async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+  if (!q) {
+    throw new ApiError(400, "Search query (q) is required");
+  }
+
+  if (q.length > SEARCH_QUERY_MAX_LENGTH) {
+    throw new ApiError(
+      400,
+      `Search query must be at most ${SEARCH_QUERY_MAX_LENGTH} characters`
+    );
+  }
+
+  const from = parseDateParam(req.query.from, "from");
+  const to = parseDateParam(req.query.to, "to", { endOfDay: true });
+
+  if (from && to && from >= to) {
+    throw new ApiError(400, "from must be earlier than to");
+  }
+
+  const parsedPage = Number(req.query.page);
+  const parsedLimit = Number(req.query.limit);
+  const page = Number.isFinite(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(20, parsedLimit)
+      : 10;
+  const skip = (page - 1) * limit;
+
+  const filter = { $text: { $search: q }, status: "published" };
+
+  if (from || to) {
+    filter.publishedAt = {};
+    if (from) filter.publishedAt.$gte = from;
+    if (to) filter.publishedAt.$lt = to;
+  }
+
+  const results = await News.find(filter, {
+    heading: 1,
+    slug: 1,
+    isPremium: 1,
+    publishedAt: 1,
+    createdAt: 1,
+    body: 1,
+    score: { $meta: "textScore" },
+  })
+    .sort({ score: { $meta: "textScore" }, publishedAt: -1 })
+    .skip(skip)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = results.length > limit;
+  if (hasMore) {
+    results.pop();
+  }
+
+  const terms = getSearchTerms(q);
+  // Premium snippets come from the public teaser, never the locked body
+  const news = results.map(({ body, ...item }) => ({
+    ...item,
+    snippet: buildSearchSnippet(
+      item.isPremium ? buildTeaser(body) : body,
+      terms
+    ),
+  }));
+
   return res.status(200).json(
     new ApiResponse(
       200,
@@ -66,11 +643,120 @@ export const getAllNews = asyncHandler(async (req, res) => {
           hasMore,
         },
       },
-      "News fetched successfully"
+      news.length ? "Search results fetched successfully" : "No matching news"
     )
   );
 });
 
+/**
+ * GET /api/v1/news/trending?window=6h|24h|7d
+ * Most-read published articles, recent views weighted highest.
+ */
+export const getTrendingNews = asyncHandler(async (req, res) => {
+  const window = req.query.window ?? "24h";
+  const parsedLimit = Number(req.query.limit);
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(20, parsedLimit)
+      : 10;
+  const lang = resolveRequestedLanguage(req);
+
+  if (!Object.hasOwn(TRENDING_WINDOWS, window)) {
+    throw new ApiError(
+      400,
+      `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(", ")}`
+    );
+  }
+
+  // Over-fetch: some ranked articles may since have been unpublished
+  const ranked = await getTrendingNewsIds({ window, limit: limit * 2 });
+  const articles = ranked.length
+    ? await News.find(
+        { _id: { $in: ranked.map(({ _id }) => _id) }, status: "published" },
+        NEWS_LIST_FIELDS
+      )
+        .populate("category", CATEGORY_FIELDS)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("heroImage", MEDIA_FIELDS)
+        .lean()
+    : [];
+  const byId = new Map(articles.map((item) => [String(item._id), item]));
+
+  const news = ranked
+    .filter(({ _id }) => byId.has(String(_id)))
+    .slice(0, limit)
+    .map(({ _id, views }) => ({
+      ...localizeNews(byId.get(String(_id)), lang),
+      windowViews: views,
+    }));
+
+  res.vary("Accept-Language");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { news, window },
+        news.length ? "Trending news fetched successfully" : "No trending news"
+      )
+    );
+});
+
+/**
+ * GET /api/v1/news/:slug/related
+ * Articles sharing the category, tags or vocabulary of this one, recent first
+ * among equals. The ranking is cached per article version.
+ */
+export const getRelatedNews = asyncHandler(async (req, res) => {
+  const { slug } = req.params;
+  const parsedLimit = Number(req.query.limit);
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(12, parsedLimit)
+      : 6;
+  const lang = resolveRequestedLanguage(req);
+
+  const current = await News.findOne({ slug, status: "published" })
+    .select("heading body category tags updatedAt")
+    .lean();
+
+  if (!current) {
+    throw new ApiError(404, "News not found");
+  }
+
+  const relatedIds = await getRelatedNewsIds(current);
+  const articles = relatedIds.length
+    ? await News.find(
+        { _id: { $in: relatedIds }, status: "published" },
+        NEWS_LIST_FIELDS
+      )
+        .populate("category", CATEGORY_FIELDS)
+        .populate("author", AUTHOR_FIELDS)
+        .populate("heroImage", MEDIA_FIELDS)
+        .lean()
+    : [];
+  const byId = new Map(articles.map((item) => [String(item._id), item]));
+
+  const news = relatedIds
+    .map((id) => byId.get(String(id)))
+    .filter(Boolean)
+    .slice(0, limit)
+    .map((item) => localizeNews(item, lang));
+
+  res.vary("Accept-Language");
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { news },
+        news.length ? "Related news fetched successfully" : "No related news"
+      )
+    );
+});
+
 export const getNewsBySlug = asyncHandler(async (req, res) => {
   const { slug } = req.params;
 
@@ -78,26 +764,156 @@ export const getNewsBySlug = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Slug value is required");
   }
 
-  const news = await News.findOne({ slug }).lean();
+  // Shared with other requests when cached: read it, never change it
+  const news = await newsArticleCache.wrap(slug, () =>
+    News.findOne({ slug })
+      .populate("category", CATEGORY_FIELDS)
+      .populate("author", AUTHOR_FIELDS)
+      .populate("heroImage", MEDIA_FIELDS)
+      .populate("gallery", MEDIA_FIELDS)
+      .lean()
+  );
 
   if (!news) {
+    const moved = await News.findOne({ previousSlugs: slug })
+      .select("slug status author")
+      .lean();
+
+    if (
+      moved &&
+      (moved.status === "published" || canSeeUnpublished(req.user, moved))
+    ) {
+      const location = `${req.baseUrl}/${encodeURIComponent(moved.slug)}`;
+
+      return res
+        .status(301)
+        .location(location)
+        .json(
+          new ApiResponse(
+            301,
+            { redirect: { slug: moved.slug, location } },
+            "News has moved to a new URL"
+          )
+        );
+    }
+  }
+
+  if (
+    !news ||
+    (news.status !== "published" && !canSeeUnpublished(req.user, news))
+  ) {
     throw new ApiError(404, "News not found");
   }
 
+  const access = await resolveArticleAccess({
+    news,
+    user: req.user,
+    deviceId: req.deviceId,
+  });
+  if (news.status === "published") {
+    recordNewsView({ news, user: req.user, deviceId: req.deviceId });
+  }
+
+  const localized = localizeNews(news, resolveRequestedLanguage(req), {
+    keepTranslations: canSeeUnpublished(req.user, news),
+  });
+
+  res.vary(["Accept-Language", "Authorization", "Cookie"]);
+
+  // Premium and staff responses depend on the reader; a response that issues
+  // the device cookie must never be shared either
+  const isShareable =
+    !news.isPremium &&
+    !req.user &&
+    news.status === "published" &&
+    !res.get("Set-Cookie");
+
+  if (
+    sendNotModifiedIfFresh(req, res, [news], {
+      variant: [
+        localized.language,
+        JSON.stringify(access),
+        canSeeUnpublished(req.user, news),
+      ],
+      cacheControl: isShareable ? ARTICLE_CACHE_CONTROL : PRIVATE_CACHE_CONTROL,
+      // Premium access changes with subscriptions and the monthly meter,
+      // which updatedAt does not show
+      lastModified: !news.isPremium,
+    })
+  ) {
+    return;
+  }
+
   return res
     .status(200)
-    .json(new ApiResponse(200, { news }, "News fetched successfully"));
+    .json(
+      new ApiResponse(
+        200,
+        { news: applyPaywall(localized, access), access },
+        "News fetched successfully"
+      )
+    );
 });
 
 export const updateNews = asyncHandler(async (req, res) => {
   const { slug } = req.params;
-  const { heading, body } = req.body;
+  const {
+    heading,
+    body,
+    language,
+    translations,
+    slug: newSlug,
+    isPremium,
+    category,
+    tags,
+    status,
+    publishAt,
+    heroImage,
+    gallery,
+  } = req.body;
 
   if (!slug || typeof slug !== "string") {
     throw new ApiError(400, "Slug is required");
   }
 
-  const updateData = {};
+  if (isPremium !== undefined && typeof isPremium !== "boolean") {
+    throw new ApiError(400, "isPremium must be a boolean");
+  }
+
+  const current = await News.findOne({ slug }).lean();
+
+  if (!current) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  if (!hasPermission(req.user, "news:update:any")) {
+    if (!isOwner(req.user, current)) {
+      throw new ApiError(403, "You can only edit your own articles");
+    }
+
+    if (current.status !== "draft") {
+      throw new ApiError(
+        403,
+        "Only editors can change an article once it has left draft"
+      );
+    }
+  }
+
+  assertCanSetStatus(req.user, status);
+  validateLanguage(language);
+
+  const updateData = buildPublishingData({ status, publishAt }, current);
+
+  if (language !== undefined) {
+    updateData.language = language;
+  }
+
+  if (translations !== undefined || language !== undefined) {
+    updateData.translations = mergeTranslations(translations ?? {}, {
+      language: language ?? current.language ?? "ml",
+      existing: current.translations || [],
+    });
+  }
 
   if (typeof heading === "string" && heading.trim()) {
     updateData.heading = heading.trim();
@@ -107,16 +923,64 @@ export const updateNews = asyncHandler(async (req, res) => {
     updateData.body = body.trim();
   }
 
+  if (typeof isPremium === "boolean") {
+    updateData.isPremium = isPremium;
+  }
+
+  if (tags !== undefined) {
+    updateData.tags = normalizeTags(tags);
+  }
+
+  if (category !== undefined) {
+    updateData.category = await resolveCategoryId(category);
+  }
+
+  if (heroImage !== undefined) {
+    updateData.heroImage = await resolveHeroImage(heroImage);
+  }
+
+  if (gallery !== undefined) {
+    updateData.gallery = await resolveMediaIds(gallery, "gallery");
+  }
+
+  if (newSlug !== undefined) {
+    const normalizedSlug = await resolveRequestedSlug(newSlug, {
+      excludeId: current._id,
+    });
+
+    // Keep the old slug reserved for redirects; reclaiming a former slug
+    // takes it back out of the history.
+    if (normalizedSlug !== current.slug) {
+      updateData.slug = normalizedSlug;
+      updateData.previousSlugs = [
+        ...(current.previousSlugs || []).filter(
+          (previous) => previous !== normalizedSlug
+        ),
+        current.slug,
+      ];
+    }
+  }
+
   if (Object.keys(updateData).length === 0) {
     throw new ApiError(
       400,
-      "At least one field (heading or body) must be provided"
+      "At least one field (heading, body, language, translations, slug, isPremium, category, tags, heroImage, gallery, status or publishAt) must be provided"
     );
   }
 
+  const changedFields = getChangedFields(current, { ...current, ...updateData });
+
+  if (changedFields.length === 0) {
+    return res
+      .status(200)
+      .json(new ApiResponse(200, { news: current }, "No changes to apply"));
+  }
+
+  await ensureBaselineRevision(current);
+
   const news = await News.findOneAndUpdate(
-    { slug },
-    { $set: updateData },
+    { _id: current._id },
+    { $set: updateData, $inc: { revision: 1 } },
     { new: true, runValidators: true }
   ).lean();
 
@@ -124,6 +988,15 @@ export const updateNews = asyncHandler(async (req, res) => {
     throw new ApiError(404, "No news article found for the provided slug");
   }
 
+  await invalidateNewsCaches(current.slug, news.slug);
+  await publishNewsEvent(news, current.status);
+  await recordRevision({
+    news,
+    action: "update",
+    author: req.user?._id,
+    changedFields,
+  });
+
   return res
     .status(200)
     .json(new ApiResponse(200, { news }, "News updated successfully"));
@@ -136,13 +1009,31 @@ export const deleteNews = asyncHandler(async (req, res) => {
     throw new ApiError(400, "Slug is required");
   }
 
-  const deleted = await News.findOneAndDelete({ slug });
+  // Soft delete: the article goes to the trash and can be restored until the
+  // worker purges it. Breaking and pinned flags do not survive the trip.
+  const deleted = await News.findOneAndUpdate(
+    { slug },
+    {
+      $set: {
+        deletedAt: new Date(),
+        deletedBy: req.user._id,
+        isBreaking: false,
+        isPinned: false,
+      },
+      $unset: { breakingAt: 1, breakingUntil: 1, pinnedAt: 1 },
+    },
+    { new: true }
+  )
+    .select("slug deletedAt")
+    .lean();
 
   if (!deleted) {
     throw new ApiError(404, "No news article found for the provided slug");
   }
 
+  await invalidateNewsCaches(deleted.slug);
+
   return res
     .status(200)
-    .json(new ApiResponse(200, {}, "News deleted successfully"));
+    .json(new ApiResponse(200, { news: deleted }, "News moved to trash"));
 });
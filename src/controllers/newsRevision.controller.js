@@ -0,0 +1,256 @@
+import { News } from "../models/News.js";
+import NewsRevision from "../models/NewsRevision.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { diffText } from "../utils/textDiff.js";
+import {
+  ensureBaselineRevision,
+  getChangedFields,
+  recordRevision,
+  RESTORABLE_FIELDS,
+} from "../services/newsRevisions.js";
+import { invalidateNewsCaches } from "../services/readCache.js";
+import { publishNewsEvent } from "../services/eventStream.js";
+
+const TEXT_DIFF_FIELDS = new Set(["heading", "body"]);
+
+const findNewsOr404 = async (slug) => {
+  if (!slug || typeof slug !== "string") {
+    throw new ApiError(400, "Slug is required");
+  }
+
+  const news = await News.findOne({ slug }).lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  return news;
+};
+
+const parseRevisionNumber = (value, field = "revision") => {
+  const parsed = Number(value);
+
+  if (!Number.isInteger(parsed) || parsed < 0) {
+    throw new ApiError(400, `${field} must be a non-negative integer`);
+  }
+
+  return parsed;
+};
+
+const findRevisionOr404 = async (newsId, revision) => {
+  const found = await NewsRevision.findOne({ news: newsId, revision })
+    .populate("author", "name email")
+    .lean();
+
+  if (!found) {
+    throw new ApiError(404, `Revision ${revision} not found`);
+  }
+
+  return found;
+};
+
+/**
+ * List revisions of an article, newest first (snapshots omitted)
+ * GET /api/v1/news/:slug/revisions
+ */
+export const getNewsRevisions = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug);
+
+  const parsedPage = Number(req.query.page);
+  const parsedLimit = Number(req.query.limit);
+  const page = Number.isFinite(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(50, parsedLimit)
+      : 20;
+
+  const revisions = await NewsRevision.find(
+    { news: news._id },
+    "revision action author changedFields restoredFrom createdAt"
+  )
+    .populate("author", "name email")
+    .sort({ revision: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = revisions.length > limit;
+  if (hasMore) {
+    revisions.pop();
+  }
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        revisions,
+        currentRevision: news.revision ?? null,
+        pagination: {
+          page,
+          limit,
+          hasMore,
+        },
+      },
+      "Revisions fetched successfully"
+    )
+  );
+});
+
+/**
+ * Get one revision including its full snapshot
+ * GET /api/v1/news/:slug/revisions/:revision
+ */
+export const getNewsRevision = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug);
+  const revision = await findRevisionOr404(
+    news._id,
+    parseRevisionNumber(req.params.revision)
+  );
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { revision }, "Revision fetched successfully"));
+});
+
+/**
+ * Diff two revisions (defaults: previous → latest)
+ * GET /api/v1/news/:slug/revisions/diff?from=&to=
+ */
+export const diffNewsRevisions = asyncHandler(async (req, res) => {
+  const news = await findNewsOr404(req.params.slug);
+
+  const to =
+    req.query.to !== undefined
+      ? parseRevisionNumber(req.query.to, "to")
+      : news.revision;
+
+  if (to === undefined || to === null) {
+    throw new ApiError(404, "This article has no revision history yet");
+  }
+
+  const from =
+    req.query.from !== undefined
+      ? parseRevisionNumber(req.query.from, "from")
+      : to - 1;
+
+  if (from < 0 || from === to) {
+    throw new ApiError(400, "from and to must be two different revisions");
+  }
+
+  const [fromRevision, toRevision] = await Promise.all([
+    findRevisionOr404(news._id, from),
+    findRevisionOr404(news._id, to),
+  ]);
+
+  const changedFields = getChangedFields(
+    fromRevision.snapshot,
+    toRevision.snapshot
+  );
+
+  const changes = Object.fromEntries(
+    changedFields.map((field) => {
+      const before = fromRevision.snapshot?.[field] ?? null;
+      const after = toRevision.snapshot?.[field] ?? null;
+
+      return [
+        field,
+        TEXT_DIFF_FIELDS.has(field)
+          ? { from: before, to: after, diff: diffText(before, after) }
+          : { from: before, to: after },
+      ];
+    })
+  );
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        from: {
+          revision: fromRevision.revision,
+          author: fromRevision.author,
+          createdAt: fromRevision.createdAt,
+        },
+        to: {
+          revision: toRevision.revision,
+          author: toRevision.author,
+          createdAt: toRevision.createdAt,
+        },
+        changedFields,
+        changes,
+      },
+      "Revision diff generated successfully"
+    )
+  );
+});
+
+/**
+ * Restore an older revision's content as a new revision
+ * POST /api/v1/news/:slug/revisions/:revision/restore
+ */
+export const restoreNewsRevision = asyncHandler(async (req, res) => {
+  const current = await findNewsOr404(req.params.slug);
+  const target = await findRevisionOr404(
+    current._id,
+    parseRevisionNumber(req.params.revision)
+  );
+
+  const updateData = Object.fromEntries(
+    RESTORABLE_FIELDS.map((field) => [field, target.snapshot?.[field] ?? null])
+  );
+  updateData.tags = updateData.tags || [];
+  updateData.gallery = updateData.gallery || [];
+  updateData.translations = updateData.translations || [];
+
+  // Snapshots taken before translations existed carry no language
+  if (!updateData.language) {
+    delete updateData.language;
+  }
+
+  const changedFields = getChangedFields(current, { ...current, ...updateData });
+
+  if (changedFields.length === 0) {
+    return res
+      .status(200)
+      .json(
+        new ApiResponse(
+          200,
+          { news: current },
+          "Article already matches this revision"
+        )
+      );
+  }
+
+  await ensureBaselineRevision(current);
+
+  const news = await News.findOneAndUpdate(
+    { _id: current._id },
+    { $set: updateData, $inc: { revision: 1 } },
+    { new: true, runValidators: true }
+  ).lean();
+
+  if (!news) {
+    throw new ApiError(404, "No news article found for the provided slug");
+  }
+
+  await invalidateNewsCaches(current.slug, news.slug);
+  await publishNewsEvent(news, current.status);
+  await recordRevision({
+    news,
+    action: "restore",
+    author: req.user?._id,
+    changedFields,
+    restoredFrom: target.revision,
+  });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        { news },
+        `Revision ${target.revision} restored successfully`
+      )
+    );
+});
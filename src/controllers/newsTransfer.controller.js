@@ -0,0 +1,113 @@
+import {
+  buildExportFilter,
+  detectImportFormat,
+  exportNews,
+  importNews,
+  NEWS_EXPORT_FORMATS,
+} from "../services/newsTransfer.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: "news-transfer" });
+
+const CONTENT_TYPES = {
+  ndjson: "application/x-ndjson; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+};
+
+/**
+ * GET /api/v1/news/export?format=ndjson|csv&from=&to=&status=
+ * Streams matching articles as a download, oldest first. from/to bound
+ * publishedAt (createdAt for unpublished articles); status defaults to all.
+ */
+export const exportNewsArchive = asyncHandler(async (req, res) => {
+  const format = req.query.format ?? "ndjson";
+
+  if (!CONTENT_TYPES[format]) {
+    throw new ApiError(
+      400,
+      `Format must be one of: ${NEWS_EXPORT_FORMATS.join(", ")}`
+    );
+  }
+
+  const filter = buildExportFilter({
+    status: req.query.status,
+    from: req.query.from,
+    to: req.query.to,
+  });
+  const fileName = `news-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  res.status(200).set({
+    "Content-Type": CONTENT_TYPES[format],
+    "Content-Disposition": `attachment; filename="${fileName}"`,
+    "Cache-Control": "no-store",
+  });
+
+  try {
+    const count = await exportNews({ format, filter, output: res });
+    log.info({ format, filter, count }, "news_export_completed");
+  } catch (error) {
+    // Once rows are on the wire the status cannot change: cut the download
+    // short so the client sees it failed
+    if (!res.headersSent) {
+      // The error handler answers in JSON, not as a file download
+      res.removeHeader("Content-Type");
+      res.removeHeader("Content-Disposition");
+      throw error;
+    }
+    log.error({ err: error, format }, "news_export_failed");
+    res.destroy(error);
+    return;
+  }
+
+  res.end();
+});
+
+/**
+ * POST /api/v1/news/import (multipart, field "file")
+ * Fields: format (ndjson|csv|wxr; from the file extension when omitted),
+ * dryRun, onConflict (skip|rename) and language (for rows without one).
+ * Answers with a summary and the rows that failed, were skipped, renamed or
+ * imported with warnings. Very large archives: use `npm run news:import`.
+ */
+export const importNewsArchive = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new ApiError(400, "An archive is required in the \"file\" field");
+  }
+
+  const format = req.body.format || detectImportFormat(req.file.originalname);
+
+  if (!format) {
+    throw new ApiError(
+      400,
+      "Could not tell the format from the file name; pass format"
+    );
+  }
+
+  const dryRun = req.body.dryRun === "true" || req.body.dryRun === true;
+  const result = await importNews({
+    content: req.file.buffer.toString("utf8"),
+    format,
+    dryRun,
+    onConflict: req.body.onConflict || undefined,
+    language: req.body.language || undefined,
+    author: req.user._id,
+  });
+
+  log.info(
+    { format, dryRun, summary: result.summary, userId: req.user._id },
+    "news_import_completed"
+  );
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        dryRun ? "Import checked; nothing was saved" : "Import finished"
+      )
+    );
+});
@@ -0,0 +1,113 @@
+import { News, NEWS_LIST_FIELDS } from "../models/News.js";
+import { NEWS_TRASH_RETENTION_DAYS } from "../config/config.js";
+import { purgeTrashedNews } from "../services/newsTrash.js";
+import { invalidateNewsCaches } from "../services/readCache.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IN_TRASH = { deletedAt: { $ne: null } };
+const NOT_IN_TRASH_MESSAGE =
+  "No trashed news article found for the provided slug";
+
+const findTrashedOr404 = async (slug) => {
+  if (!slug || typeof slug !== "string") {
+    throw new ApiError(400, "Slug is required");
+  }
+
+  const news = await News.findOne({ slug, ...IN_TRASH })
+    .select("_id slug")
+    .lean();
+
+  if (!news) {
+    throw new ApiError(404, NOT_IN_TRASH_MESSAGE);
+  }
+
+  return news;
+};
+
+/**
+ * GET /api/v1/news/trash
+ * Trashed articles, most recently deleted first, with their purge date.
+ */
+export const getTrashedNews = asyncHandler(async (req, res) => {
+  const parsedPage = Number(req.query.page);
+  const parsedLimit = Number(req.query.limit);
+  const page = Number.isFinite(parsedPage) && parsedPage > 0 ? parsedPage : 1;
+  const limit =
+    Number.isFinite(parsedLimit) && parsedLimit > 0
+      ? Math.min(50, parsedLimit)
+      : 20;
+
+  const news = await News.find(
+    IN_TRASH,
+    `${NEWS_LIST_FIELDS} deletedAt deletedBy`
+  )
+    .populate("deletedBy", "name")
+    .sort({ deletedAt: -1, _id: -1 })
+    .skip((page - 1) * limit)
+    .limit(limit + 1)
+    .lean();
+
+  const hasMore = news.length > limit;
+  if (hasMore) {
+    news.pop();
+  }
+
+  const items = news.map((item) => ({
+    ...item,
+    purgeAt: new Date(
+      item.deletedAt.getTime() + NEWS_TRASH_RETENTION_DAYS * DAY_MS
+    ),
+  }));
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      { news: items, hasMore, pagination: { page, limit } },
+      "Trashed news fetched successfully"
+    )
+  );
+});
+
+/**
+ * POST /api/v1/news/trash/:slug/restore
+ */
+export const restoreTrashedNews = asyncHandler(async (req, res) => {
+  const trashed = await findTrashedOr404(req.params.slug);
+
+  const news = await News.findOneAndUpdate(
+    { _id: trashed._id, ...IN_TRASH },
+    { $set: { deletedAt: null }, $unset: { deletedBy: 1 } },
+    { new: true }
+  ).lean();
+
+  if (!news) {
+    throw new ApiError(404, NOT_IN_TRASH_MESSAGE);
+  }
+
+  await invalidateNewsCaches(news.slug);
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, { news }, "News restored successfully"));
+});
+
+/**
+ * DELETE /api/v1/news/trash/:slug
+ * Permanently removes a trashed article with its revisions and comments.
+ */
+export const purgeNews = asyncHandler(async (req, res) => {
+  const trashed = await findTrashedOr404(req.params.slug);
+
+  const purged = await purgeTrashedNews([trashed._id]);
+
+  if (!purged) {
+    throw new ApiError(404, NOT_IN_TRASH_MESSAGE);
+  }
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "News permanently deleted"));
+});
@@ -0,0 +1,223 @@
+import mongoose from "mongoose";
+import Category from "../models/Category.js";
+import PushSubscription, {
+  PUSH_DEFAULT_TOPICS,
+  PUSH_MAX_TOPICS,
+} from "../models/PushSubscription.js";
+import { isWebPushConfigured } from "../services/pushNotifications.js";
+import { ApiError } from "../utils/ApiError.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { decodePublicKey, isPushServiceUrl } from "../utils/webPush.js";
+import {
+  WEB_PUSH_SERVICE_URL,
+  WEB_PUSH_VAPID_PUBLIC_KEY,
+} from "../config/config.js";
+
+const DEVICE_FIELDS = "topics userAgent lastSentAt createdAt updatedAt";
+
+const assertPushEnabled = () => {
+  if (!isWebPushConfigured()) {
+    throw new ApiError(503, "Push notifications are not available");
+  }
+};
+
+/**
+ * Push service endpoints are fetched by the worker, so only https URLs on a
+ * known push service are accepted (any URL while WEB_PUSH_SERVICE_URL
+ * redirects pushes).
+ */
+const parseEndpoint = (endpoint) => {
+  if (typeof endpoint !== "string" || !endpoint.trim()) {
+    throw new ApiError(400, "endpoint is required");
+  }
+
+  let url;
+  try {
+    url = new URL(endpoint.trim());
+  } catch {
+    throw new ApiError(400, "endpoint must be a URL");
+  }
+
+  if (!WEB_PUSH_SERVICE_URL && !isPushServiceUrl(url)) {
+    throw new ApiError(400, "endpoint must be a push service https URL");
+  }
+
+  if (url.href.length > 1000) {
+    throw new ApiError(400, "endpoint is too long");
+  }
+
+  return url.href;
+};
+
+const parseKeys = (keys) => {
+  const { p256dh, auth } = keys || {};
+
+  if (
+    typeof p256dh !== "string" ||
+    typeof auth !== "string" ||
+    !decodePublicKey(p256dh) ||
+    Buffer.from(auth, "base64url").length !== 16
+  ) {
+    throw new ApiError(
+      400,
+      "keys must hold the subscription's p256dh and auth keys"
+    );
+  }
+
+  return { p256dh, auth };
+};
+
+/** "breaking" and active category slugs */
+const parseTopics = async (topics) => {
+  if (!Array.isArray(topics) || topics.some((t) => typeof t !== "string")) {
+    throw new ApiError(400, "topics must be an array of strings");
+  }
+
+  const unique = [
+    ...new Set(topics.map((topic) => topic.trim().toLowerCase())),
+  ].filter(Boolean);
+
+  if (unique.length > PUSH_MAX_TOPICS) {
+    throw new ApiError(400, `At most ${PUSH_MAX_TOPICS} topics are allowed`);
+  }
+
+  const slugs = unique.filter((topic) => !PUSH_DEFAULT_TOPICS.includes(topic));
+  const categories = await Category.find(
+    { slug: { $in: slugs }, isActive: true },
+    "slug"
+  ).lean();
+  const known = new Set(categories.map(({ slug }) => slug));
+  const unknown = slugs.filter((slug) => !known.has(slug));
+
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown topics: ${unknown.join(", ")}`);
+  }
+
+  return unique;
+};
+
+/**
+ * GET /api/v1/push/config
+ * VAPID public key for PushManager.subscribe() and the topics on offer.
+ */
+export const getPushConfig = asyncHandler(async (req, res) => {
+  assertPushEnabled();
+
+  const categories = await Category.find({ isActive: true }, "name slug")
+    .sort({ sortOrder: 1, name: 1 })
+    .lean();
+
+  return res.status(200).json(
+    new ApiResponse(
+      200,
+      {
+        publicKey: WEB_PUSH_VAPID_PUBLIC_KEY,
+        topics: [
+          { topic: "breaking", name: "All breaking news" },
+          ...categories.map(({ name, slug }) => ({ topic: slug, name })),
+        ],
+      },
+      "Push config fetched successfully"
+    )
+  );
+});
+
+/**
+ * POST /api/v1/push/subscriptions
+ * Body: PushSubscription.toJSON() ({ endpoint, keys }) plus optional topics.
+ * Registers the browser, or updates it: send it again to change topics.
+ */
+export const subscribePush = asyncHandler(async (req, res) => {
+  assertPushEnabled();
+
+  const endpoint = parseEndpoint(req.body?.endpoint);
+  const keys = parseKeys(req.body?.keys);
+  const topics =
+    req.body?.topics === undefined
+      ? undefined
+      : await parseTopics(req.body.topics);
+  const update = {
+    $set: {
+      keys,
+      deviceId: req.deviceId,
+      userAgent: String(req.get("User-Agent") || "").slice(0, 300),
+      // A signed-out visit leaves an earlier owner in place
+      ...(req.user && { user: req.user._id }),
+      ...(topics && { topics }),
+    },
+    ...(!topics && { $setOnInsert: { topics: PUSH_DEFAULT_TOPICS } }),
+  };
+
+  const result = await PushSubscription.findOneAndUpdate({ endpoint }, update, {
+    new: true,
+    upsert: true,
+    includeResultMetadata: true,
+  }).lean();
+  const created = !result.lastErrorObject?.updatedExisting;
+  const { _id, topics: savedTopics, createdAt } = result.value;
+
+  return res
+    .status(created ? 201 : 200)
+    .json(
+      new ApiResponse(
+        created ? 201 : 200,
+        { subscription: { _id, endpoint, topics: savedTopics, createdAt } },
+        created ? "Push notifications enabled" : "Push subscription updated"
+      )
+    );
+});
+
+/**
+ * DELETE /api/v1/push/subscriptions  Body: { endpoint }
+ * Called by the browser after PushSubscription.unsubscribe().
+ */
+export const unsubscribePush = asyncHandler(async (req, res) => {
+  const endpoint = parseEndpoint(req.body?.endpoint);
+
+  await PushSubscription.deleteOne({ endpoint });
+
+  return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Push notifications disabled"));
+});
+
+/**
+ * GET /api/v1/push/devices
+ * The signed-in user's subscribed browsers.
+ */
+export const getMyPushDevices = asyncHandler(async (req, res) => {
+  const devices = await PushSubscription.find(
+    { user: req.user._id },
+    DEVICE_FIELDS
+  )
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(200, { devices }, "Push devices fetched successfully")
+    );
+});
+
+/**
+ * DELETE /api/v1/push/devices/:id
+ * Stop pushes to one of the user's browsers.
+ */
+export const deleteMyPushDevice = asyncHandler(async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    throw new ApiError(400, "Invalid device id");
+  }
+
+  const { deletedCount } = await PushSubscription.deleteOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!deletedCount) {
+    throw new ApiError(404, "Push device not found");
+  }
+
+  return res.status(200).json(new ApiResponse(200, {}, "Push device removed"));
+});
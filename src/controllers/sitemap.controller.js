@@ -0,0 +1,290 @@
+import { News } from "../models/News.js";
+import YoutubeVideo from "../models/YoutubeVideo.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+  applyCacheValidators,
+  buildEtag,
+  latestDate,
+} from "../utils/httpCache.js";
+import { XML_DECLARATION, xmlElement } from "../utils/xml.js";
+import { SITE_LANGUAGE, SITE_NAME, SITE_URL } from "../config/config.js";
+
+// Well under the protocol's 50,000 URL / 50 MB per-file limits
+const SITEMAP_PAGE_SIZE = 5000;
+const GOOGLE_NEWS_WINDOW_MS = 48 * 60 * 60 * 1000;
+const GOOGLE_NEWS_MAX_URLS = 1000;
+const VIDEO_DESCRIPTION_MAX_LENGTH = 2048;
+const SITEMAP_CACHE_CONTROL = "public, max-age=900";
+
+const SITEMAP_NS = "http://www.sitemaps.org/schemas/sitemap/0.9";
+const NEWS_NS = "http://www.google.com/schemas/sitemap-news/0.9";
+const VIDEO_NS = "http://www.google.com/schemas/sitemap-video/1.1";
+
+const PUBLISHED = { status: "published" };
+
+const articleUrl = (slug) => `${SITE_URL}/news/${encodeURIComponent(slug)}`;
+const videoPageUrl = (videoId) =>
+  `${SITE_URL}/videos/${encodeURIComponent(videoId)}`;
+const apiUrl = (req, path) => `${req.protocol}://${req.get("host")}${path}`;
+const toIso = (date) => (date ? new Date(date).toISOString() : null);
+
+const parsePage = (value) => {
+  const page = Number(value);
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new ApiError(404, "Sitemap not found");
+  }
+
+  return page;
+};
+
+/**
+ * Send a sitemap document, or 304 when the client already has this version.
+ */
+const sendSitemap = (req, res, { key, lastModified, count, body }) => {
+  const isFresh = applyCacheValidators(req, res, {
+    etag: buildEtag(key, count, toIso(lastModified)),
+    lastModified,
+    cacheControl: SITEMAP_CACHE_CONTROL,
+  });
+
+  if (isFresh) {
+    return res.status(304).end();
+  }
+
+  return res
+    .type("application/xml; charset=utf-8")
+    .send(`${XML_DECLARATION}${body()}`);
+};
+
+const latestUpdate = async (Model, filter = {}) => {
+  const latest = await Model.findOne(filter)
+    .sort({ updatedAt: -1 })
+    .select("updatedAt")
+    .lean();
+
+  return latest?.updatedAt || null;
+};
+
+/**
+ * Sitemap index pointing at the article, video and Google News sitemaps
+ * GET /sitemap.xml
+ */
+export const getSitemapIndex = asyncHandler(async (req, res) => {
+  const [newsCount, videoCount, newsUpdatedAt, videosUpdatedAt] =
+    await Promise.all([
+      News.countDocuments(PUBLISHED),
+      YoutubeVideo.countDocuments(),
+      latestUpdate(News, PUBLISHED),
+      latestUpdate(YoutubeVideo),
+    ]);
+
+  const newsPages = Math.max(1, Math.ceil(newsCount / SITEMAP_PAGE_SIZE));
+  const videoPages = Math.max(1, Math.ceil(videoCount / SITEMAP_PAGE_SIZE));
+
+  const entry = (path, lastmod) =>
+    xmlElement(
+      "sitemap",
+      xmlElement("loc", apiUrl(req, path)) +
+        xmlElement("lastmod", toIso(lastmod)),
+      {},
+      { raw: true }
+    );
+
+  const entries = [entry("/sitemaps/google-news.xml", newsUpdatedAt)];
+
+  for (let page = 1; page <= newsPages; page += 1) {
+    entries.push(entry(`/sitemaps/news-${page}.xml`));
+  }
+
+  for (let page = 1; page <= videoPages; page += 1) {
+    entries.push(entry(`/sitemaps/videos-${page}.xml`));
+  }
+
+  const lastModified = latestDate([newsUpdatedAt, videosUpdatedAt]);
+
+  return sendSitemap(req, res, {
+    key: `index:${newsPages}:${videoPages}`,
+    lastModified,
+    count: newsCount + videoCount,
+    body: () =>
+      xmlElement("sitemapindex", entries.join(""), { xmlns: SITEMAP_NS }, {
+        raw: true,
+      }),
+  });
+});
+
+/**
+ * One page of article URLs, oldest first so pages stay stable as news grows
+ * GET /sitemaps/news-:page.xml
+ */
+export const getNewsSitemap = asyncHandler(async (req, res) => {
+  const page = parsePage(req.params.page);
+
+  const news = await News.find(PUBLISHED, "slug updatedAt")
+    .sort({ publishedAt: 1, _id: 1 })
+    .skip((page - 1) * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .lean();
+
+  if (news.length === 0 && page > 1) {
+    throw new ApiError(404, "Sitemap not found");
+  }
+
+  const lastModified = latestDate(news.map((item) => item.updatedAt));
+
+  return sendSitemap(req, res, {
+    key: `news:${page}:${news[0]?._id}:${news[news.length - 1]?._id}`,
+    lastModified,
+    count: news.length,
+    body: () =>
+      xmlElement(
+        "urlset",
+        news
+          .map((item) =>
+            xmlElement(
+              "url",
+              xmlElement("loc", articleUrl(item.slug)) +
+                xmlElement("lastmod", toIso(item.updatedAt)),
+              {},
+              { raw: true }
+            )
+          )
+          .join(""),
+        { xmlns: SITEMAP_NS },
+        { raw: true }
+      ),
+  });
+});
+
+/**
+ * Google News sitemap: articles published in the last 48 hours
+ * GET /sitemaps/google-news.xml
+ */
+export const getGoogleNewsSitemap = asyncHandler(async (req, res) => {
+  const since = new Date(Date.now() - GOOGLE_NEWS_WINDOW_MS);
+
+  const news = await News.find(
+    { ...PUBLISHED, publishedAt: { $gte: since } },
+    "heading slug publishedAt updatedAt"
+  )
+    .sort({ publishedAt: -1 })
+    .limit(GOOGLE_NEWS_MAX_URLS)
+    .lean();
+
+  const lastModified = latestDate(news.map((item) => item.updatedAt));
+
+  const publication = xmlElement(
+    "news:publication",
+    xmlElement("news:name", SITE_NAME) +
+      xmlElement("news:language", SITE_LANGUAGE),
+    {},
+    { raw: true }
+  );
+
+  return sendSitemap(req, res, {
+    key: `google-news:${news[0]?._id}`,
+    lastModified,
+    count: news.length,
+    body: () =>
+      xmlElement(
+        "urlset",
+        news
+          .map((item) =>
+            xmlElement(
+              "url",
+              xmlElement("loc", articleUrl(item.slug)) +
+                xmlElement(
+                  "news:news",
+                  publication +
+                    xmlElement(
+                      "news:publication_date",
+                      toIso(item.publishedAt)
+                    ) +
+                    xmlElement("news:title", item.heading),
+                  {},
+                  { raw: true }
+                ),
+              {},
+              { raw: true }
+            )
+          )
+          .join(""),
+        { xmlns: SITEMAP_NS, "xmlns:news": NEWS_NS },
+        { raw: true }
+      ),
+  });
+});
+
+/**
+ * Video sitemap from synced YouTube videos
+ * GET /sitemaps/videos-:page.xml
+ */
+export const getVideoSitemap = asyncHandler(async (req, res) => {
+  const page = parsePage(req.params.page);
+
+  const videos = await YoutubeVideo.find(
+    {},
+    "videoId title description thumbnail publishedAt updatedAt"
+  )
+    .sort({ publishedAt: 1, _id: 1 })
+    .skip((page - 1) * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .lean();
+
+  if (videos.length === 0 && page > 1) {
+    throw new ApiError(404, "Sitemap not found");
+  }
+
+  const lastModified = latestDate(videos.map((item) => item.updatedAt));
+
+  return sendSitemap(req, res, {
+    key: `videos:${page}:${videos[0]?._id}:${videos[videos.length - 1]?._id}`,
+    lastModified,
+    count: videos.length,
+    body: () =>
+      xmlElement(
+        "urlset",
+        videos
+          .filter((video) => video.thumbnail && video.title)
+          .map((video) =>
+            xmlElement(
+              "url",
+              xmlElement("loc", videoPageUrl(video.videoId)) +
+                xmlElement(
+                  "video:video",
+                  [
+                    xmlElement("video:thumbnail_loc", video.thumbnail),
+                    xmlElement("video:title", video.title),
+                    xmlElement(
+                      "video:description",
+                      (video.description || video.title).slice(
+                        0,
+                        VIDEO_DESCRIPTION_MAX_LENGTH
+                      )
+                    ),
+                    xmlElement(
+                      "video:player_loc",
+                      `https://www.youtube.com/embed/${encodeURIComponent(
+                        video.videoId
+                      )}`
+                    ),
+                    xmlElement(
+                      "video:publication_date",
+                      toIso(video.publishedAt)
+                    ),
+                  ].join(""),
+                  {},
+                  { raw: true }
+                ),
+              {},
+              { raw: true }
+            )
+          )
+          .join(""),
+        { xmlns: SITEMAP_NS, "xmlns:video": VIDEO_NS },
+        { raw: true }
+      ),
+  });
+});
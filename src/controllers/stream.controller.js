@@ -0,0 +1,121 @@
+import {
+  STREAM_EVENT_TYPES,
+  getStreamClientCount,
+  subscribeToStream,
+} from "../services/eventStream.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import {
+  STREAM_HEARTBEAT_SECONDS,
+  STREAM_MAX_CLIENTS,
+} from "../config/config.js";
+
+const log = logger.child({ component: "event-stream" });
+
+/** How long EventSource waits before reconnecting */
+const RECONNECT_DELAY_MS = 5000;
+/** A client this far behind on reading is dropped; it resumes on reconnect */
+const MAX_BUFFERED_BYTES = 1024 * 1024;
+
+const parseTypes = (value) => {
+  if (value === undefined || value === "") return null;
+
+  const types = String(value)
+    .split(",")
+    .map((type) => type.trim())
+    .filter(Boolean);
+  const unknown = types.filter((type) => !STREAM_EVENT_TYPES.includes(type));
+
+  if (unknown.length) {
+    throw new ApiError(
+      400,
+      `Unknown event types: ${unknown.join(", ")}. ` +
+        `Use ${STREAM_EVENT_TYPES.join(", ")}`
+    );
+  }
+
+  return types;
+};
+
+const parseLastEventId = (value) => {
+  if (value === undefined || value === "") return null;
+
+  const seq = Number(value);
+
+  if (!Number.isInteger(seq) || seq < 0) {
+    throw new ApiError(400, "Last-Event-ID must be a stream event id");
+  }
+
+  return seq;
+};
+
+/**
+ * GET /api/v1/stream?types=news.published,news.breaking
+ * Server-Sent Events for published and updated news, breaking news and new
+ * videos. Reconnecting EventSources resume from Last-Event-ID (or
+ * ?lastEventId=); a `resync` event means events were missed and lists should
+ * be refetched. Comment lines keep idle connections open.
+ */
+export const streamEvents = asyncHandler(async (req, res) => {
+  const types = parseTypes(req.query.types);
+  const lastEventId = parseLastEventId(
+    req.get("Last-Event-ID") ?? req.query.lastEventId
+  );
+
+  if (getStreamClientCount() >= STREAM_MAX_CLIENTS) {
+    res.set("Retry-After", "30");
+    throw new ApiError(503, "Too many open streams. Please retry shortly.");
+  }
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    // no-transform keeps compression() from buffering the stream
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let unsubscribe = null;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe?.();
+    res.end();
+  };
+  const write = (chunk) => {
+    if (closed) return;
+    res.write(chunk);
+    if (res.writableLength > MAX_BUFFERED_BYTES) close();
+  };
+  const heartbeat = setInterval(
+    () => write(": ping\n\n"),
+    STREAM_HEARTBEAT_SECONDS * 1000
+  );
+
+  req.on("close", close);
+  write(`retry: ${RECONNECT_DELAY_MS}\n\n`);
+
+  try {
+    unsubscribe = await subscribeToStream({
+      lastEventId,
+      types,
+      send: ({ seq, type, data }) =>
+        write(`id: ${seq}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`),
+      resync: () => write("event: resync\ndata: {}\n\n"),
+      close,
+    });
+  } catch (error) {
+    // Headers are out: end the stream and let EventSource retry
+    log.error({ err: error }, "stream_subscribe_failed");
+    return close();
+  }
+
+  // The client left while missed events were being replayed
+  if (closed) {
+    unsubscribe();
+  }
+});
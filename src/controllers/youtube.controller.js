@@ -1,6 +1,17 @@
 import YoutubeVideo from "../models/YoutubeVideo.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { syncYouTubeVideos } from "../services/youtubeSync.js";
+import { videoListCache } from "../services/readCache.js";
+import { sendNotModifiedIfFresh } from "../utils/httpCache.js";
+import {
+  buildCursorFilter,
+  decodeCursor,
+  encodeCursor,
+} from "../utils/cursor.js";
+
+// The listing sits behind verifyJWT, so only the app itself may cache it
+const VIDEOS_CACHE_CONTROL = "private, max-age=60";
 
 export const getVideosFromDB = asyncHandler(async (req, res) => {
   const parsedPage = Number(req.query.page);
@@ -10,30 +21,70 @@ export const getVideosFromDB = asyncHandler(async (req, res) => {
     Number.isFinite(parsedLimit) && parsedLimit > 0
       ? Math.min(50, parsedLimit)
       : 20;
+  const cursor =
+    typeof req.query.cursor === "string" && req.query.cursor
+      ? decodeCursor(req.query.cursor)
+      : null;
 
-  const videos = await YoutubeVideo.find()
-    .sort({ publishedAt: -1 })
-    .skip((page - 1) * limit)
-    .limit(limit + 1)
-    .lean();
+  const cached = await videoListCache.wrap(
+    JSON.stringify([cursor ? req.query.cursor : page, limit]),
+    () =>
+      YoutubeVideo.find(cursor ? buildCursorFilter("publishedAt", cursor) : {})
+        .sort({ publishedAt: -1, _id: -1 })
+        .skip(cursor ? 0 : (page - 1) * limit)
+        .limit(limit + 1)
+        .lean()
+  );
+  // Cached pages are shared between requests: work on a copy
+  const videos = [...cached];
 
   const hasMore = videos.length > limit;
   if (hasMore) {
     videos.pop();
   }
 
+  const nextCursor = hasMore
+    ? encodeCursor(videos[videos.length - 1], "publishedAt")
+    : null;
+
+  if (
+    sendNotModifiedIfFresh(req, res, videos, {
+      variant: [hasMore, nextCursor],
+      cacheControl: VIDEOS_CACHE_CONTROL,
+    })
+  ) {
+    return;
+  }
+
   return res.status(200).json(
     new ApiResponse(
       200,
       {
         videos,
         hasMore,
-        pagination: {
-          page,
-          limit,
-        },
+        pagination: cursor
+          ? { limit, nextCursor }
+          : { page, limit, nextCursor },
       },
       "Videos fetched successfully"
     )
   );
 });
+
+/**
+ * POST /api/youtube/sync
+ * Runs a channel sync on demand instead of waiting for the worker.
+ */
+export const triggerYoutubeSync = asyncHandler(async (req, res) => {
+  const result = await syncYouTubeVideos({ throwOnError: true });
+
+  return res
+    .status(200)
+    .json(
+      new ApiResponse(
+        200,
+        result,
+        result.skipped ? "Sync already in progress" : "Videos synced successfully"
+      )
+    );
+});
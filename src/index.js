@@ -6,6 +6,12 @@ import {
 } from "./config/config.js";
 import connectDB from "./db/database.js";
 import mongoose from "mongoose";
+import { drainNewsViews } from "./services/newsViews.js";
+import { closeEventStreams } from "./services/eventStream.js";
+import {
+  startReadCacheSync,
+  stopReadCacheSync,
+} from "./services/readCache.js";
 import { logger } from "./utils/logger.js";
 
 const log = logger.child({ service: "api" });
@@ -22,9 +28,12 @@ const shutdown = async (signal) => {
   isShuttingDown = true;
 
   log.warn({ signal }, "graceful_shutdown_start");
+  stopReadCacheSync();
 
   try {
     if (server) {
+      // Open event streams would keep the server from closing
+      closeEventStreams();
       await new Promise((resolve, reject) => {
         server.close((err) => {
           if (err) return reject(err);
@@ -34,6 +43,9 @@ const shutdown = async (signal) => {
       log.info("http_server_closed");
     }
 
+    // Write buffered article views before the connection goes away
+    await drainNewsViews();
+
     if (mongoose.connection.readyState === 1) {
       await mongoose.connection.close();
       log.info("mongodb_connection_closed");
@@ -80,6 +92,9 @@ const startServer = async () => {
       throw lastError;
     }
 
+    // Pick up cache invalidations made by the worker and other instances
+    startReadCacheSync();
+
     server = app.listen(PORT || 5000, () => {
       log.info({ port: PORT || 5000 }, "server_listening");
     });
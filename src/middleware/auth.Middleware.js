@@ -41,3 +41,39 @@ export const verifyJWT = asyncHandler(async (req, res, next) => {
     throw error;
   }
 });
+
+/**
+ * Attach req.user when a valid access token is present, otherwise continue
+ * anonymously. Used on public routes whose response depends on the reader.
+ */
+export const optionalJWT = asyncHandler(async (req, res, next) => {
+  const token =
+    req.cookies?.accessToken ||
+    req.header("Authorization")?.replace("Bearer ", "");
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
+
+    const user = await User.findById(decodedToken?._id).select(
+      "-password -refreshToken"
+    );
+
+    if (user) {
+      req.user = user;
+    }
+  } catch (error) {
+    if (
+      error?.name !== "JsonWebTokenError" &&
+      error?.name !== "TokenExpiredError" &&
+      error?.name !== "NotBeforeError"
+    ) {
+      throw error;
+    }
+  }
+
+  next();
+});
@@ -0,0 +1,29 @@
+import { randomUUID } from "node:crypto";
+
+const DEVICE_COOKIE = "deviceId";
+const DEVICE_ID_PATTERN = /^[0-9a-f-]{36}$/i;
+
+/**
+ * Identify anonymous readers by a signed, long-lived device cookie.
+ * Issues a new id when the cookie is missing or its signature is invalid.
+ */
+export const assignDeviceId = (req, res, next) => {
+  const existing = req.signedCookies?.[DEVICE_COOKIE];
+
+  if (typeof existing === "string" && DEVICE_ID_PATTERN.test(existing)) {
+    req.deviceId = existing;
+    return next();
+  }
+
+  req.deviceId = randomUUID();
+
+  res.cookie(DEVICE_COOKIE, req.deviceId, {
+    httpOnly: true,
+    signed: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: process.env.NODE_ENV === "production" ? "None" : "Lax",
+    maxAge: 365 * 24 * 60 * 60 * 1000,
+  });
+
+  next();
+};
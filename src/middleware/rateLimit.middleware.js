@@ -1,9 +1,18 @@
 const getKey = (req) => req.ip || req.headers["x-forwarded-for"] || "unknown";
 
+/** Key for routes behind verifyJWT: one bucket per account, not per IP */
+export const userRateLimitKey = (req) =>
+  req.user?._id ? `user:${req.user._id}` : getKey(req);
+
+/**
+ * Fixed-window, in-memory rate limiter. Requests are counted per client IP
+ * unless `keyGenerator(req)` says otherwise (e.g. per user after verifyJWT).
+ */
 export const createRateLimiter = ({
   windowMs = 60 * 1000,
   max = 60,
   message = "Too many requests. Please try again later.",
+  keyGenerator = getKey,
 } = {}) => {
   const store = new Map();
   const timer = setInterval(() => {
@@ -20,7 +29,7 @@ export const createRateLimiter = ({
 
   return (req, res, next) => {
     const now = Date.now();
-    const key = getKey(req);
+    const key = keyGenerator(req);
     const current = store.get(key);
 
     if (!current || current.expiresAt <= now) {
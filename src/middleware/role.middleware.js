@@ -1,5 +1,6 @@
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { hasPermission } from "../config/permissions.js";
 
 export const requireAdmin = asyncHandler(async (req, _res, next) => {
   if (!req.user || req.user.role !== "admin") {
@@ -8,3 +9,20 @@ export const requireAdmin = asyncHandler(async (req, _res, next) => {
 
   next();
 });
+
+/**
+ * Allow the request when the user's role grants `permission`
+ * (see config/permissions.js). Use after verifyJWT.
+ */
+export const requirePermission = (permission) =>
+  asyncHandler(async (req, _res, next) => {
+    if (!req.user) {
+      throw new ApiError(401, "Unauthorized request");
+    }
+
+    if (!hasPermission(req.user, permission)) {
+      throw new ApiError(403, `Missing permission: ${permission}`);
+    }
+
+    next();
+  });
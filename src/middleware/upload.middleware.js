@@ -0,0 +1,53 @@
+import multer from "multer";
+import {
+  MEDIA_MAX_FILE_SIZE_MB,
+  NEWS_IMPORT_MAX_FILE_SIZE_MB,
+} from "../config/config.js";
+import { ApiError } from "../utils/ApiError.js";
+
+/** Image types accepted for upload; the bytes are checked again after upload */
+export const ALLOWED_IMAGE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/gif",
+  "image/webp",
+];
+
+/**
+ * Parse a single image from the multipart "file" field into memory
+ * (req.file.buffer). Size and count limits surface as Multer error codes,
+ * which the error handler maps to 400s.
+ */
+export const uploadImage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MEDIA_MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: 1,
+    fields: 10,
+  },
+  fileFilter: (_req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(
+        new ApiError(
+          415,
+          `Unsupported file type. Allowed: ${ALLOWED_IMAGE_TYPES.join(", ")}`
+        )
+      );
+    }
+
+    cb(null, true);
+  },
+}).single("file");
+
+/**
+ * Parse a news archive (NDJSON, CSV or WXR) from the multipart "file" field
+ * into memory. The import itself checks the format.
+ */
+export const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: NEWS_IMPORT_MAX_FILE_SIZE_MB * 1024 * 1024,
+    files: 1,
+    fields: 10,
+  },
+}).single("file");
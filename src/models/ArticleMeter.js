@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+/**
+ * Free premium reads per reader per calendar month (IST).
+ * readerKey is "user:<id>" for logged-in readers, "device:<id>" otherwise.
+ */
+const articleMeterSchema = new mongoose.Schema(
+  {
+    readerKey: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    period: {
+      type: String, // YYYY-MM in Asia/Kolkata
+      required: true,
+    },
+    articleIds: {
+      type: [mongoose.Schema.Types.ObjectId],
+      ref: "News",
+      default: [],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+articleMeterSchema.index({ readerKey: 1, period: 1 }, { unique: true });
+
+// Old periods are dropped automatically once they can no longer be read
+articleMeterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ArticleMeter = mongoose.model("ArticleMeter", articleMeterSchema);
+
+export default ArticleMeter;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+export const BOOKMARK_TYPES = ["news", "video"];
+
+/**
+ * An item on a user's reading list. `item` is a News or YoutubeVideo id
+ * depending on itemType; the item may since have been removed.
+ */
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    itemType: {
+      type: String,
+      enum: BOOKMARK_TYPES,
+      required: true,
+    },
+    item: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+bookmarkSchema.index({ user: 1, itemType: 1, item: 1 }, { unique: true });
+bookmarkSchema.index({ user: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ user: 1, itemType: 1, createdAt: -1, _id: -1 });
+bookmarkSchema.index({ itemType: 1, item: 1 });
+
+const Bookmark = mongoose.model("Bookmark", bookmarkSchema);
+
+export default Bookmark;
@@ -0,0 +1,41 @@
+import mongoose from "mongoose";
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 60,
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+      lowercase: true,
+      trim: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    sortOrder: {
+      type: Number,
+      default: 0,
+    },
+    isActive: {
+      type: Boolean,
+      default: true, // soft delete flag
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+categorySchema.index({ isActive: 1, sortOrder: 1, name: 1 });
+
+const Category = mongoose.model("Category", categorySchema);
+
+export default Category;
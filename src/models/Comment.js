@@ -0,0 +1,74 @@
+import mongoose from "mongoose";
+
+export const COMMENT_STATUSES = ["pending", "approved", "rejected"];
+
+/**
+ * Reader comment on an article. Replies point at their parent and at the
+ * top-level comment of their thread (root) so a page of threads can be
+ * loaded with one query.
+ */
+const commentSchema = new mongoose.Schema(
+  {
+    news: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    depth: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    status: {
+      type: String,
+      enum: COMMENT_STATUSES,
+      default: "pending",
+    },
+    // Blocked words found when the comment was posted; held for review
+    flaggedTerms: {
+      type: [String],
+      default: [],
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: { type: Date },
+    rejectionReason: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+  },
+  { timestamps: true }
+);
+
+commentSchema.index({ news: 1, status: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ root: 1, status: 1, createdAt: 1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ author: 1, status: 1 });
+
+const Comment = mongoose.model("Comment", commentSchema);
+
+export default Comment;
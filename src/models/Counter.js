@@ -0,0 +1,17 @@
+import mongoose from "mongoose";
+
+/**
+ * Named sequence shared by every process, e.g. "stream-events". Take the
+ * next number with an upserting $inc on `seq`.
+ */
+const counterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { versionKey: false }
+);
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+export default Counter;
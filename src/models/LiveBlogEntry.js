@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+/**
+ * Short timestamped update on a live blog article. Every append, edit, pin
+ * or delete takes the next number from the article's News.liveBlogSeq, so
+ * readers polling with ?since= see changes as well as new entries. Deleted
+ * entries stay as tombstones for the same reason.
+ */
+const liveBlogEntrySchema = new mongoose.Schema(
+  {
+    news: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+      required: true,
+    },
+    seq: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    heading: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 5000,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Pinned entries are shown above the timeline
+    isPinned: {
+      type: Boolean,
+      default: false,
+    },
+    pinnedAt: { type: Date },
+    editedAt: { type: Date },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+liveBlogEntrySchema.index({ news: 1, createdAt: -1, _id: -1 });
+liveBlogEntrySchema.index({ news: 1, seq: 1 });
+liveBlogEntrySchema.index({ news: 1, isPinned: 1, pinnedAt: -1 });
+
+const LiveBlogEntry = mongoose.model("LiveBlogEntry", liveBlogEntrySchema);
+
+export default LiveBlogEntry;
@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+/**
+ * An uploaded image. The bytes live in the configured storage driver under
+ * storageKey; this document records what they are.
+ */
+const mediaSchema = new mongoose.Schema(
+  {
+    storageDriver: {
+      type: String,
+      required: true,
+    },
+    storageKey: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+      trim: true,
+      maxlength: 255,
+    },
+    mimeType: {
+      type: String,
+      required: true,
+    },
+    size: {
+      type: Number, // bytes
+      required: true,
+    },
+    width: {
+      type: Number,
+      required: true,
+    },
+    height: {
+      type: Number,
+      required: true,
+    },
+    // SHA-256 of the file; the same image uploaded twice is stored once
+    checksum: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: 300,
+    },
+    caption: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+mediaSchema.index({ createdAt: -1, _id: -1 });
+
+const Media = mongoose.model("Media", mediaSchema);
+
+export default Media;
@@ -1,14 +1,165 @@
 import mongoose from "mongoose";
 
+export const NEWS_STATUSES = ["draft", "scheduled", "published", "archived"];
+export const NEWS_LANGUAGES = ["ml", "en"];
+export const NEWS_MAX_TAGS = 10;
+export const NEWS_TAG_MAX_LENGTH = 40;
+
+/** Projection for list endpoints (no body) */
+export const NEWS_LIST_FIELDS = [
+  "heading",
+  "slug",
+  "author",
+  "heroImage",
+  "language",
+  "translations.language",
+  "translations.heading",
+  "isPremium",
+  "category",
+  "tags",
+  "status",
+  "publishAt",
+  "publishedAt",
+  "isBreaking",
+  "isPinned",
+  "isLiveBlog",
+  "liveBlogEndedAt",
+  "viewCount",
+  "createdAt",
+  "updatedAt",
+].join(" ");
+
+const translationSchema = new mongoose.Schema(
+  {
+    language: { type: String, enum: NEWS_LANGUAGES, required: true },
+    heading: { type: String, required: true, trim: true },
+    body: { type: String, required: true, trim: true },
+  },
+  { _id: false }
+);
+
 const newsSchema = new mongoose.Schema(
   {
     heading: { type: String, required: true, trim: true },
     body: { type: String, required: true, trim: true },
+    // Language of heading/body; translations hold the other variants
+    language: { type: String, enum: NEWS_LANGUAGES, default: "ml" },
+    translations: { type: [translationSchema], default: [] },
+    // Uploaded images (Media): lead image and an ordered gallery
+    heroImage: { type: mongoose.Schema.Types.ObjectId, ref: "Media" },
+    gallery: [{ type: mongoose.Schema.Types.ObjectId, ref: "Media" }],
+    // Byline; set from the creating user
+    author: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
     slug: { type: String, unique: true, index: true },
+    // Former slugs, answered with a redirect to the current one
+    previousSlugs: { type: [String], default: [], index: true },
+    // Premium articles are served as a teaser unless the reader has access
+    isPremium: { type: Boolean, default: false, index: true },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Category",
+      index: true,
+    },
+    tags: {
+      type: [{ type: String, lowercase: true, trim: true }],
+      default: [],
+    },
+    status: {
+      type: String,
+      enum: NEWS_STATUSES,
+      default: "published",
+      index: true,
+    },
+    // When a scheduled article should go live (picked up by the worker)
+    publishAt: { type: Date },
+    // When the article actually went live; drives public ordering
+    publishedAt: { type: Date },
+    // Breaking flag is cleared by the worker once breakingUntil passes
+    isBreaking: { type: Boolean, default: false },
+    breakingAt: { type: Date },
+    breakingUntil: { type: Date },
+    // Pinned stories lead the first page of listings
+    isPinned: { type: Boolean, default: false },
+    pinnedAt: { type: Date },
+    // Live blog: entries live in LiveBlogEntry; liveBlogSeq numbers their
+    // changes for ?since= polling. Ended live blogs stay readable.
+    isLiveBlog: { type: Boolean, default: false },
+    liveBlogEndedAt: { type: Date, default: null },
+    liveBlogSeq: { type: Number, default: 0 },
+    // Numbers taken but not yet written to their entry (see
+    // liveBlog.controller.js): readers stop short of the oldest one
+    liveBlogPending: {
+      type: [{ _id: false, seq: Number, at: Date }],
+      select: false,
+    },
+    // Unique readers, flushed in batches by services/newsViews.js
+    viewCount: { type: Number, default: 0 },
+    // Latest NewsRevision number, bumped atomically on every write
+    revision: { type: Number, default: 1, min: 0 },
+    // Soft delete: trashed articles are purged by the worker after the
+    // retention window (NEWS_TRASH_RETENTION_DAYS)
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
 
 newsSchema.index({ createdAt: -1 });
+newsSchema.index({ status: 1, publishedAt: -1, _id: -1 });
+newsSchema.index({ status: 1, createdAt: -1, _id: -1 });
+newsSchema.index({ status: 1, publishAt: 1 });
+newsSchema.index({ isBreaking: 1, breakingUntil: 1 });
+newsSchema.index({ isPinned: 1, pinnedAt: -1 });
+newsSchema.index({ category: 1, status: 1, publishedAt: -1 });
+newsSchema.index({ tags: 1, status: 1, publishedAt: -1 });
+newsSchema.index(
+  { deletedAt: -1 },
+  { partialFilterExpression: { deletedAt: { $type: "date" } } }
+);
+
+// Full-text search. "none" disables stemming and stop words, which keeps
+// tokenisation language-neutral so English and Malayalam are both searchable.
+// Translations count for less than the article's own text. A collection
+// holds one text index: drop an older news_text_search before changing it.
+newsSchema.index(
+  {
+    heading: "text",
+    body: "text",
+    "translations.heading": "text",
+    "translations.body": "text",
+  },
+  {
+    name: "news_text_search",
+    weights: {
+      heading: 10,
+      body: 2,
+      "translations.heading": 5,
+      "translations.body": 1,
+    },
+    default_language: "none",
+    language_override: "textSearchLanguage",
+  }
+);
+
+// Trashed articles are left out of every query unless it filters on
+// deletedAt itself or opts in with .setOptions({ withDeleted: true }).
+newsSchema.pre(
+  [
+    "countDocuments",
+    "find",
+    "findOne",
+    "findOneAndDelete",
+    "findOneAndUpdate",
+    "updateMany",
+    "updateOne",
+  ],
+  function excludeTrashed() {
+    if (this.getOptions().withDeleted || "deletedAt" in this.getFilter()) {
+      return;
+    }
+
+    this.where({ deletedAt: null });
+  }
+);
 
 export const News = mongoose.model("News", newsSchema);
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+/**
+ * Immutable snapshot of a News article after each write, kept so we can show
+ * exactly what was published when and roll back mistakes.
+ */
+const newsRevisionSchema = new mongoose.Schema(
+  {
+    news: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+      required: true,
+    },
+    revision: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    action: {
+      type: String,
+      enum: ["baseline", "create", "update", "restore"],
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    changedFields: {
+      type: [String],
+      default: [],
+    },
+    restoredFrom: {
+      type: Number,
+    },
+    snapshot: {
+      slug: String,
+      heading: String,
+      body: String,
+      language: String,
+      translations: [
+        { _id: false, language: String, heading: String, body: String },
+      ],
+      isPremium: Boolean,
+      category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
+      tags: [String],
+      heroImage: { type: mongoose.Schema.Types.ObjectId, ref: "Media" },
+      gallery: [{ type: mongoose.Schema.Types.ObjectId, ref: "Media" }],
+      status: String,
+      publishAt: Date,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+newsRevisionSchema.index({ news: 1, revision: -1 }, { unique: true });
+
+const NewsRevision = mongoose.model("NewsRevision", newsRevisionSchema);
+
+export default NewsRevision;
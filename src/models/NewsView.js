@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+/**
+ * One reader opening one article within one clock hour. The unique index is
+ * what de-duplicates views across API instances; documents expire shortly
+ * after their hour has passed.
+ */
+const newsViewSchema = new mongoose.Schema({
+  news: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "News",
+    required: true,
+  },
+  readerKey: {
+    type: String, // "user:<id>" or "device:<id>"
+    required: true,
+  },
+  hour: {
+    type: Date, // start of the hour (UTC)
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+newsViewSchema.index({ news: 1, readerKey: 1, hour: 1 }, { unique: true });
+newsViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const NewsView = mongoose.model("NewsView", newsViewSchema);
+
+export default NewsView;
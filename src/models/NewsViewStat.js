@@ -0,0 +1,28 @@
+import mongoose from "mongoose";
+
+/**
+ * Unique views per article per clock hour; the trending endpoint sums these
+ * over its window. Buckets are dropped once older than the longest window.
+ */
+const newsViewStatSchema = new mongoose.Schema({
+  news: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "News",
+    required: true,
+  },
+  hour: {
+    type: Date, // start of the hour (UTC)
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+newsViewStatSchema.index({ news: 1, hour: 1 }, { unique: true });
+newsViewStatSchema.index({ hour: 1 }, { expireAfterSeconds: 8 * 24 * 60 * 60 });
+
+const NewsViewStat = mongoose.model("NewsViewStat", newsViewStatSchema);
+
+export default NewsViewStat;
@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+/**
+ * A push queued for the worker to fan out to every subscription with one of
+ * `topics`. `lastSubscriptionId` is how far it got, so an interrupted run
+ * resumes without sending twice.
+ */
+const pushNotificationSchema = new mongoose.Schema(
+  {
+    news: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "News",
+    },
+    topics: {
+      type: [String],
+      required: true,
+    },
+    // What the service worker receives: { title, body, url, tag, ... }
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ["pending", "done"],
+      default: "pending",
+    },
+    lastSubscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null,
+    },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    pruned: { type: Number, default: 0 },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+pushNotificationSchema.index({ status: 1, createdAt: 1 });
+// Finished ones are kept a month for reference
+pushNotificationSchema.index(
+  { completedAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+const PushNotification = mongoose.model(
+  "PushNotification",
+  pushNotificationSchema
+);
+
+export default PushNotification;
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+
+/** Topic every subscription gets unless it picks its own */
+export const PUSH_DEFAULT_TOPICS = ["breaking"];
+export const PUSH_MAX_TOPICS = 20;
+
+/**
+ * A browser's Web Push subscription. `endpoint` identifies it (one per
+ * browser profile); `topics` are "breaking" (all breaking news) and/or
+ * category slugs (breaking news in that category).
+ */
+const pushSubscriptionSchema = new mongoose.Schema(
+  {
+    endpoint: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    keys: {
+      p256dh: { type: String, required: true },
+      auth: { type: String, required: true },
+    },
+    topics: {
+      type: [String],
+      default: PUSH_DEFAULT_TOPICS,
+    },
+    // Signed-in owner, if any; deviceId ties anonymous ones to a browser
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    deviceId: {
+      type: String,
+      default: null,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 300,
+    },
+    lastSentAt: { type: Date },
+    // Consecutive failed sends that were not an expiry (404/410)
+    failureCount: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+pushSubscriptionSchema.index({ topics: 1, _id: 1 });
+pushSubscriptionSchema.index({ user: 1 });
+
+const PushSubscription = mongoose.model(
+  "PushSubscription",
+  pushSubscriptionSchema
+);
+
+export default PushSubscription;
@@ -0,0 +1,35 @@
+import mongoose from "mongoose";
+import { STREAM_EVENT_RETENTION_HOURS } from "../config/config.js";
+
+/**
+ * Event relayed to SSE clients by every API process. Written by whichever
+ * process made the change (API or worker); `seq` is the SSE event id.
+ */
+const streamEventSchema = new mongoose.Schema(
+  {
+    seq: {
+      type: Number,
+      required: true,
+      unique: true,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, versionKey: false }
+);
+
+// Kept long enough for clients to resume after a dropped connection
+streamEventSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: STREAM_EVENT_RETENTION_HOURS * 60 * 60 }
+);
+
+const StreamEvent = mongoose.model("StreamEvent", streamEventSchema);
+
+export default StreamEvent;
@@ -216,6 +216,22 @@ subscriptionSchema.statics.findActiveByUser = function (userId) {
   }).sort({ createdAt: -1 });
 };
 
+/**
+ * Check whether a user currently has reading access
+ * (active, or cancelled at cycle end but still inside the paid period)
+ */
+subscriptionSchema.statics.hasActiveAccess = async function (userId) {
+  const subscription = await this.exists({
+    userId,
+    $or: [
+      { status: "active" },
+      { status: "pending_cancellation", currentEnd: { $gt: new Date() } },
+    ],
+  });
+
+  return Boolean(subscription);
+};
+
 /**
  * Find active subscription for a specific plan
  */
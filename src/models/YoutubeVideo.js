@@ -12,4 +12,6 @@ const youtubeVideoSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+youtubeVideoSchema.index({ publishedAt: -1, _id: -1 });
+
 export default mongoose.model("YoutubeVideo", youtubeVideoSchema);
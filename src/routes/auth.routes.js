@@ -5,8 +5,10 @@ import {
   logoutUser,
   refreshAccessToken,
   getCurrentUser,
+  updateUserRole,
 } from "../controllers/auth.controller.js";
 import { verifyJWT } from "../middleware/auth.Middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
 import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
 
 const router = express.Router();
@@ -25,4 +27,12 @@ router.post("/refresh-token", authLimiter, refreshAccessToken);
 router.get("/me", verifyJWT, getCurrentUser);
 router.post("/logout", verifyJWT, logoutUser);
 
+// Admin routes
+router.patch(
+  "/users/:userId/role",
+  verifyJWT,
+  requirePermission("users:manage"),
+  updateUserRole
+);
+
 export default router;
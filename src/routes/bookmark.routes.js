@@ -0,0 +1,32 @@
+import express from "express";
+import {
+  getBookmarks,
+  bookmarkNews,
+  unbookmarkNews,
+  bookmarkVideo,
+  unbookmarkVideo,
+  deleteBookmark,
+} from "../controllers/bookmark.controller.js";
+import { verifyJWT } from "../middleware/auth.Middleware.js";
+import {
+  createRateLimiter,
+  userRateLimitKey,
+} from "../middleware/rateLimit.middleware.js";
+
+const router = express.Router();
+const bookmarkLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: "Too many reading list requests. Please slow down.",
+  keyGenerator: userRateLimitKey,
+});
+
+// Reading list of the signed-in user
+router.get("/", verifyJWT, bookmarkLimiter, getBookmarks);
+router.put("/news/:slug", verifyJWT, bookmarkLimiter, bookmarkNews);
+router.delete("/news/:slug", verifyJWT, bookmarkLimiter, unbookmarkNews);
+router.put("/videos/:videoId", verifyJWT, bookmarkLimiter, bookmarkVideo);
+router.delete("/videos/:videoId", verifyJWT, bookmarkLimiter, unbookmarkVideo);
+router.delete("/:id", verifyJWT, bookmarkLimiter, deleteBookmark);
+
+export default router;
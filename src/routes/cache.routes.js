@@ -0,0 +1,11 @@
+import express from "express";
+import { getCacheStats } from "../controllers/cache.controller.js";
+import { verifyJWT } from "../middleware/auth.Middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
+
+const router = express.Router();
+
+// Admin only: no role but admin holds cache:read
+router.get("/stats", verifyJWT, requirePermission("cache:read"), getCacheStats);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from "express";
+import {
+  createCategory,
+  getAllCategories,
+  getCategoryBySlug,
+  updateCategory,
+  deleteCategory,
+} from "../controllers/category.controller.js";
+import { optionalJWT, verifyJWT } from "../middleware/auth.Middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+
+const router = express.Router();
+const categoryReadLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 120,
+  message: "Too many category requests. Please slow down.",
+});
+
+const canManage = requirePermission("categories:manage");
+
+// CRUD routes (writes: categories:manage)
+router.post("/", verifyJWT, canManage, createCategory);
+router.get("/", categoryReadLimiter, optionalJWT, getAllCategories);
+router.get("/:slug", categoryReadLimiter, getCategoryBySlug);
+router.put("/:slug", verifyJWT, canManage, updateCategory);
+router.delete("/:slug", verifyJWT, canManage, deleteCategory);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from "express";
+import {
+  getCommentQueue,
+  approveComment,
+  rejectComment,
+  banCommenter,
+} from "../controllers/comment.controller.js";
+import { verifyJWT } from "../middleware/auth.Middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
+
+const router = express.Router();
+
+const canModerate = requirePermission("comments:moderate");
+
+// Moderation (article comments themselves live under /api/v1/news/:slug)
+router.get("/", verifyJWT, canModerate, getCommentQueue);
+router.patch("/:id/approve", verifyJWT, canModerate, approveComment);
+router.patch("/:id/reject", verifyJWT, canModerate, rejectComment);
+router.post(
+  "/users/:userId/ban",
+  verifyJWT,
+  requirePermission("users:ban"),
+  banCommenter
+);
+
+export default router;
@@ -0,0 +1,24 @@
+import express from "express";
+import {
+  getNewsRssFeed,
+  getNewsAtomFeed,
+  getCategoryRssFeed,
+  getCategoryAtomFeed,
+  getVideosRssFeed,
+} from "../controllers/feed.controller.js";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+
+const router = express.Router();
+const feedLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: "Too many feed requests. Please slow down.",
+});
+
+router.get("/news.rss", feedLimiter, getNewsRssFeed);
+router.get("/news.atom", feedLimiter, getNewsAtomFeed);
+router.get("/categories/:slug/news.rss", feedLimiter, getCategoryRssFeed);
+router.get("/categories/:slug/news.atom", feedLimiter, getCategoryAtomFeed);
+router.get("/videos.rss", feedLimiter, getVideosRssFeed);
+
+export default router;
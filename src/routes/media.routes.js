@@ -0,0 +1,33 @@
+import express from "express";
+import {
+  uploadMedia,
+  getMediaList,
+  updateMedia,
+  deleteMedia,
+} from "../controllers/media.controller.js";
+import { verifyJWT } from "../middleware/auth.Middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+import { uploadImage } from "../middleware/upload.middleware.js";
+
+const router = express.Router();
+const uploadLimiter = createRateLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: "Too many uploads. Please try again later.",
+});
+
+const canUpload = requirePermission("media:upload");
+
+// Authenticate before Multer so anonymous uploads are never buffered
+router.post("/", verifyJWT, canUpload, uploadLimiter, uploadImage, uploadMedia);
+router.get("/", verifyJWT, canUpload, getMediaList);
+router.patch("/:id", verifyJWT, canUpload, updateMedia);
+router.delete(
+  "/:id",
+  verifyJWT,
+  requirePermission("media:delete"),
+  deleteMedia
+);
+
+export default router;
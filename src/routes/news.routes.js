@@ -5,10 +5,52 @@ import {
   updateNews,
   deleteNews,
   createNews,
+  searchNews,
+  getTrendingNews,
+  getRelatedNews,
 } from "../controllers/news.contoller.js";
-import { verifyJWT } from "../middleware/auth.Middleware.js";
-import { requireAdmin } from "../middleware/role.middleware.js";
-import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+import {
+  getNewsRevisions,
+  getNewsRevision,
+  diffNewsRevisions,
+  restoreNewsRevision,
+} from "../controllers/newsRevision.controller.js";
+import {
+  getTrashedNews,
+  restoreTrashedNews,
+  purgeNews,
+} from "../controllers/newsTrash.controller.js";
+import {
+  exportNewsArchive,
+  importNewsArchive,
+} from "../controllers/newsTransfer.controller.js";
+import {
+  getNewsComments,
+  createComment,
+} from "../controllers/comment.controller.js";
+import {
+  getBreakingNews,
+  setBreakingNews,
+  clearBreakingNews,
+  pinNews,
+  unpinNews,
+} from "../controllers/breakingNews.controller.js";
+import {
+  getLiveBlog,
+  startLiveBlog,
+  endLiveBlog,
+  addLiveBlogEntry,
+  updateLiveBlogEntry,
+  deleteLiveBlogEntry,
+} from "../controllers/liveBlog.controller.js";
+import { optionalJWT, verifyJWT } from "../middleware/auth.Middleware.js";
+import { assignDeviceId } from "../middleware/device.middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
+import { uploadImportFile } from "../middleware/upload.middleware.js";
+import {
+  createRateLimiter,
+  userRateLimitKey,
+} from "../middleware/rateLimit.middleware.js";
 
 const router = express.Router();
 const newsReadLimiter = createRateLimiter({
@@ -16,12 +58,121 @@ const newsReadLimiter = createRateLimiter({
   max: 120,
   message: "Too many news requests. Please slow down.",
 });
+const commentLimiter = createRateLimiter({
+  windowMs: 10 * 60 * 1000,
+  max: 5,
+  message: "You are commenting too fast. Please wait a few minutes.",
+  keyGenerator: userRateLimitKey,
+});
+const importLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: 20,
+  message: "Too many imports. Please try again later.",
+  keyGenerator: userRateLimitKey,
+});
+
+// CRUD routes (writes: see config/permissions.js)
+router.post("/", verifyJWT, requirePermission("news:create"), createNews);
+router.get("/", newsReadLimiter, optionalJWT, getAllNews);
+router.get("/search", newsReadLimiter, searchNews);
+router.get("/breaking", newsReadLimiter, getBreakingNews);
+router.get("/trending", newsReadLimiter, getTrendingNews);
+
+// Trash bin (registered before /:slug so "trash" is not read as a slug)
+const canDelete = requirePermission("news:delete");
+router.get("/trash", verifyJWT, canDelete, getTrashedNews);
+router.post("/trash/:slug/restore", verifyJWT, canDelete, restoreTrashedNews);
+router.delete("/trash/:slug", verifyJWT, canDelete, purgeNews);
+
+// Bulk export and import (admin only: no other role holds these)
+router.get(
+  "/export",
+  verifyJWT,
+  requirePermission("news:export"),
+  exportNewsArchive
+);
+router.post(
+  "/import",
+  verifyJWT,
+  requirePermission("news:import"),
+  importLimiter,
+  uploadImportFile,
+  importNewsArchive
+);
+
+router.get(
+  "/:slug",
+  newsReadLimiter,
+  optionalJWT,
+  assignDeviceId,
+  getNewsBySlug
+);
+router.put(
+  "/:slug",
+  verifyJWT,
+  requirePermission("news:update:own"),
+  updateNews
+);
+router.delete("/:slug", verifyJWT, canDelete, deleteNews);
+
+// Breaking news and pinned stories
+const canFeature = requirePermission("news:feature");
+router.put("/:slug/breaking", verifyJWT, canFeature, setBreakingNews);
+router.delete("/:slug/breaking", verifyJWT, canFeature, clearBreakingNews);
+router.put("/:slug/pin", verifyJWT, canFeature, pinNews);
+router.delete("/:slug/pin", verifyJWT, canFeature, unpinNews);
+
+// Live blogs (readers poll GET with ?since=)
+const canRunLive = requirePermission("news:live");
+router.get(
+  "/:slug/live",
+  newsReadLimiter,
+  optionalJWT,
+  assignDeviceId,
+  getLiveBlog
+);
+router.put("/:slug/live", verifyJWT, canRunLive, startLiveBlog);
+router.delete("/:slug/live", verifyJWT, canRunLive, endLiveBlog);
+router.post("/:slug/live/entries", verifyJWT, canRunLive, addLiveBlogEntry);
+router.patch(
+  "/:slug/live/entries/:entryId",
+  verifyJWT,
+  canRunLive,
+  updateLiveBlogEntry
+);
+router.delete(
+  "/:slug/live/entries/:entryId",
+  verifyJWT,
+  canRunLive,
+  deleteLiveBlogEntry
+);
+
+router.get("/:slug/related", newsReadLimiter, getRelatedNews);
+
+// Reader comments (moderation: /api/v1/comments)
+router.get("/:slug/comments", newsReadLimiter, getNewsComments);
+router.post("/:slug/comments", verifyJWT, commentLimiter, createComment);
 
-// CRUD routes (writes: admin only)
-router.post("/", verifyJWT, requireAdmin, createNews);
-router.get("/", newsReadLimiter, getAllNews);
-router.get("/:slug", newsReadLimiter, getNewsBySlug);
-router.put("/:slug", verifyJWT, requireAdmin, updateNews);
-router.delete("/:slug", verifyJWT, requireAdmin, deleteNews);
+// Revision history
+const canUseRevisions = requirePermission("news:revisions");
+router.get("/:slug/revisions", verifyJWT, canUseRevisions, getNewsRevisions);
+router.get(
+  "/:slug/revisions/diff",
+  verifyJWT,
+  canUseRevisions,
+  diffNewsRevisions
+);
+router.get(
+  "/:slug/revisions/:revision",
+  verifyJWT,
+  canUseRevisions,
+  getNewsRevision
+);
+router.post(
+  "/:slug/revisions/:revision/restore",
+  verifyJWT,
+  canUseRevisions,
+  restoreNewsRevision
+);
 
 export default router;
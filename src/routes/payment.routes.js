@@ -12,7 +12,7 @@ import {
   resumeSubscription,
 } from "../controllers/payment.controller.js";
 import { verifyJWT } from "../middleware/auth.Middleware.js";
-import { requireAdmin } from "../middleware/role.middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
 import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
 
 const router = express.Router();
@@ -34,7 +34,7 @@ const adminPlanLimiter = createRateLimiter({
 router.post(
   "/plans/create",
   verifyJWT,
-  requireAdmin,
+  requirePermission("plans:manage"),
   adminPlanLimiter,
   createPlan
 );
@@ -43,7 +43,7 @@ router.get("/plans/:planId", verifyJWT, paymentLimiter, getPlanById);
 router.delete(
   "/plans/:planId",
   verifyJWT,
-  requireAdmin,
+  requirePermission("plans:manage"),
   adminPlanLimiter,
   deletePlan
 );
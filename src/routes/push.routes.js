@@ -0,0 +1,35 @@
+import express from "express";
+import {
+  getPushConfig,
+  subscribePush,
+  unsubscribePush,
+  getMyPushDevices,
+  deleteMyPushDevice,
+} from "../controllers/push.controller.js";
+import { optionalJWT, verifyJWT } from "../middleware/auth.Middleware.js";
+import { assignDeviceId } from "../middleware/device.middleware.js";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+
+const router = express.Router();
+const pushLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: "Too many push subscription requests. Please slow down.",
+});
+
+// Browser subscriptions (signed in or not)
+router.get("/config", pushLimiter, getPushConfig);
+router.post(
+  "/subscriptions",
+  pushLimiter,
+  optionalJWT,
+  assignDeviceId,
+  subscribePush
+);
+router.delete("/subscriptions", pushLimiter, unsubscribePush);
+
+// A signed-in user's browsers
+router.get("/devices", verifyJWT, pushLimiter, getMyPushDevices);
+router.delete("/devices/:id", verifyJWT, pushLimiter, deleteMyPushDevice);
+
+export default router;
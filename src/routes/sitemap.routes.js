@@ -0,0 +1,22 @@
+import express from "express";
+import {
+  getSitemapIndex,
+  getNewsSitemap,
+  getGoogleNewsSitemap,
+  getVideoSitemap,
+} from "../controllers/sitemap.controller.js";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+
+const router = express.Router();
+const sitemapLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 60,
+  message: "Too many sitemap requests. Please slow down.",
+});
+
+router.get("/sitemap.xml", sitemapLimiter, getSitemapIndex);
+router.get("/sitemaps/google-news.xml", sitemapLimiter, getGoogleNewsSitemap);
+router.get("/sitemaps/news-:page.xml", sitemapLimiter, getNewsSitemap);
+router.get("/sitemaps/videos-:page.xml", sitemapLimiter, getVideoSitemap);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from "express";
+import { streamEvents } from "../controllers/stream.controller.js";
+import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
+
+const router = express.Router();
+// Connections, not messages: EventSource reconnects every few seconds at most
+const streamLimiter = createRateLimiter({
+  windowMs: 60 * 1000,
+  max: 30,
+  message: "Too many stream connections. Please slow down.",
+});
+
+router.get("/", streamLimiter, streamEvents);
+
+export default router;
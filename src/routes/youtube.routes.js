@@ -1,6 +1,10 @@
 import express from "express";
-import { getVideosFromDB } from "../controllers/youtube.controller.js";
+import {
+  getVideosFromDB,
+  triggerYoutubeSync,
+} from "../controllers/youtube.controller.js";
 import { verifyJWT } from "../middleware/auth.Middleware.js";
+import { requirePermission } from "../middleware/role.middleware.js";
 import { createRateLimiter } from "../middleware/rateLimit.middleware.js";
 
 const router = express.Router();
@@ -11,5 +15,12 @@ const youtubeLimiter = createRateLimiter({
 });
 
 router.get("/", verifyJWT, youtubeLimiter, getVideosFromDB);
+router.post(
+  "/sync",
+  verifyJWT,
+  requirePermission("videos:sync"),
+  youtubeLimiter,
+  triggerYoutubeSync
+);
 
 export default router;
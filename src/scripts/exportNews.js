@@ -0,0 +1,71 @@
+import fs from "fs";
+import { finished } from "stream/promises";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import connectDB from "../db/database.js";
+import { buildExportFilter, exportNews } from "../services/newsTransfer.js";
+import { logger } from "../utils/logger.js";
+
+// npm run news:export -- --out news.ndjson [--format ndjson|csv]
+//   [--from 2019-01-01] [--to 2019-12-31] [--status all|published|…]
+const log = logger.child({ script: "export-news" });
+
+const shutdown = async (exitCode) => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.close();
+    log.info("mongodb_connection_closed");
+  }
+
+  process.exit(exitCode);
+};
+
+const run = async () => {
+  try {
+    const { values } = parseArgs({
+      options: {
+        out: { type: "string" },
+        format: { type: "string", default: "ndjson" },
+        from: { type: "string" },
+        to: { type: "string" },
+        status: { type: "string", default: "all" },
+      },
+    });
+
+    // Logs go to stdout, so the export needs a file of its own
+    if (!values.out) {
+      throw new Error("--out <file> is required");
+    }
+
+    const filter = buildExportFilter(values);
+
+    log.info({ ...values }, "news_export_start");
+
+    await connectDB();
+    const output = fs.createWriteStream(values.out);
+    const count = await exportNews({
+      format: values.format,
+      filter,
+      output,
+    });
+    output.end();
+    await finished(output);
+
+    log.info({ count, out: values.out }, "news_export_complete");
+    await shutdown(0);
+  } catch (error) {
+    log.fatal({ err: error }, "news_export_failed");
+    await shutdown(1);
+  }
+};
+
+process.on("SIGINT", async () => {
+  log.warn("news_export_interrupted");
+  await shutdown(130);
+});
+
+process.on("SIGTERM", async () => {
+  log.warn("news_export_terminated");
+  await shutdown(143);
+});
+
+run();
@@ -0,0 +1,10 @@
+import { generateVapidKeys } from "../utils/webPush.js";
+
+// Prints a VAPID key pair for WEB_PUSH_VAPID_PUBLIC_KEY / _PRIVATE_KEY.
+// Generate once: existing browser subscriptions are tied to the public key.
+const { publicKey, privateKey } = generateVapidKeys();
+
+process.stdout.write(
+  `WEB_PUSH_VAPID_PUBLIC_KEY=${publicKey}\n` +
+    `WEB_PUSH_VAPID_PRIVATE_KEY=${privateKey}\n`
+);
@@ -0,0 +1,105 @@
+import fs from "fs/promises";
+import { parseArgs } from "util";
+import mongoose from "mongoose";
+import connectDB from "../db/database.js";
+import { User } from "../models/User.js";
+import { detectImportFormat, importNews } from "../services/newsTransfer.js";
+import { logger } from "../utils/logger.js";
+
+// npm run news:import -- archive.xml [--format ndjson|csv|wxr] [--dry-run]
+//   [--on-conflict skip|rename] [--language ml|en] [--author editor@site]
+//   [--report report.json]
+const log = logger.child({ script: "import-news" });
+
+const shutdown = async (exitCode) => {
+  if (mongoose.connection.readyState !== 0) {
+    await mongoose.connection.close();
+    log.info("mongodb_connection_closed");
+  }
+
+  process.exit(exitCode);
+};
+
+const run = async () => {
+  try {
+    const { values, positionals } = parseArgs({
+      allowPositionals: true,
+      options: {
+        format: { type: "string" },
+        "dry-run": { type: "boolean", default: false },
+        "on-conflict": { type: "string", default: "skip" },
+        language: { type: "string", default: "ml" },
+        author: { type: "string" },
+        report: { type: "string" },
+      },
+    });
+    const [file] = positionals;
+
+    if (!file) {
+      throw new Error("Path of the file to import is required");
+    }
+
+    const format = values.format || detectImportFormat(file);
+
+    if (!format) {
+      throw new Error(
+        "Could not tell the format from the file name; pass --format"
+      );
+    }
+
+    const dryRun = values["dry-run"];
+    log.info({ file, format, dryRun }, "news_import_start");
+
+    await connectDB();
+
+    let author = null;
+    if (values.author) {
+      const user = await User.findOne({ email: values.author.toLowerCase() })
+        .select("_id")
+        .lean();
+
+      if (!user) {
+        throw new Error(`No user with email ${values.author}`);
+      }
+      author = user._id;
+    }
+
+    const result = await importNews({
+      content: await fs.readFile(file, "utf8"),
+      format,
+      dryRun,
+      onConflict: values["on-conflict"],
+      language: values.language,
+      author,
+    });
+
+    if (values.report) {
+      await fs.writeFile(values.report, JSON.stringify(result, null, 2));
+    } else {
+      for (const row of result.rows) {
+        log.warn(row, "news_import_row");
+      }
+    }
+
+    log.info(
+      { dryRun, ...result.summary, reportTruncated: result.reportTruncated },
+      "news_import_complete"
+    );
+    await shutdown(0);
+  } catch (error) {
+    log.fatal({ err: error }, "news_import_failed");
+    await shutdown(1);
+  }
+};
+
+process.on("SIGINT", async () => {
+  log.warn("news_import_interrupted");
+  await shutdown(130);
+});
+
+process.on("SIGTERM", async () => {
+  log.warn("news_import_terminated");
+  await shutdown(143);
+});
+
+run();
@@ -0,0 +1,48 @@
+import os from "os";
+import { News } from "../models/News.js";
+import { invalidateNewsCaches } from "./readCache.js";
+import { runExclusiveJob } from "../utils/jobLock.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ job: "breaking-news-expiry" });
+
+const JOB_NAME = "breaking-news-expiry";
+const LOCK_TTL_MS = 60 * 1000;
+const ownerId = `${os.hostname()}-${process.pid}`;
+
+/**
+ * Clear breaking flags whose breakingUntil has passed.
+ */
+export const expireBreakingNews = async () => {
+  try {
+    return await runExclusiveJob(
+      { jobName: JOB_NAME, ownerId, ttlMs: LOCK_TTL_MS, log },
+      async () => {
+        const filter = {
+          isBreaking: true,
+          breakingUntil: { $lte: new Date() },
+        };
+        const expired = await News.find(filter).select("slug").lean();
+
+        if (expired.length === 0) {
+          return { expired: 0 };
+        }
+
+        const { modifiedCount } = await News.updateMany(
+          { ...filter, _id: { $in: expired.map(({ _id }) => _id) } },
+          { $set: { isBreaking: false }, $unset: { breakingUntil: 1 } }
+        );
+
+        if (modifiedCount > 0) {
+          await invalidateNewsCaches(...expired.map(({ slug }) => slug));
+          log.info({ expired: modifiedCount }, "breaking_news_expired");
+        }
+
+        return { expired: modifiedCount };
+      }
+    );
+  } catch (error) {
+    log.error({ err: error }, "breaking_news_expiry_error");
+    return { skipped: false, error, expired: 0 };
+  }
+};
@@ -0,0 +1,253 @@
+import Counter from "../models/Counter.js";
+import StreamEvent from "../models/StreamEvent.js";
+import { STREAM_POLL_INTERVAL_MS } from "../config/config.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: "event-stream" });
+
+export const STREAM_EVENT_TYPES = [
+  "news.published",
+  "news.updated",
+  "news.breaking",
+  "video.published",
+];
+
+const COUNTER_ID = "stream-events";
+const RELAY_BATCH_SIZE = 200;
+/** Events a reconnecting client may replay; further behind it must resync */
+const RESUME_LIMIT = 500;
+/**
+ * A seq is taken before its event is written, so a missing number usually
+ * means a write still in flight. Wait this long for it before moving on (the
+ * write may have failed).
+ */
+const GAP_WAIT_MS = 5000;
+
+/**
+ * Record an event for every API process to relay. Never throws: the change
+ * it describes has already been saved.
+ */
+export const publishStreamEvent = async (type, data) => {
+  try {
+    const { seq } = await Counter.findOneAndUpdate(
+      { _id: COUNTER_ID },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    ).lean();
+
+    await StreamEvent.create({ seq, type, data });
+  } catch (error) {
+    log.error({ err: error, type }, "stream_event_publish_failed");
+  }
+};
+
+/** The public face of an article in stream events */
+const toNewsEventData = (news) => ({
+  id: news._id,
+  slug: news.slug,
+  heading: news.heading,
+  language: news.language,
+  category: news.category?._id ?? news.category ?? null,
+  isPremium: news.isPremium === true,
+  publishedAt: news.publishedAt,
+  updatedAt: news.updatedAt,
+});
+
+/**
+ * news.published or news.updated for a saved article; nothing unless it is
+ * published. Pass the status it had before the write, if any.
+ */
+export const publishNewsEvent = (news, previousStatus = null) => {
+  if (news?.status !== "published") {
+    return Promise.resolve();
+  }
+
+  return publishStreamEvent(
+    previousStatus === "published" ? "news.updated" : "news.published",
+    toNewsEventData(news)
+  );
+};
+
+export const publishBreakingNewsEvent = (news) =>
+  publishStreamEvent("news.breaking", {
+    ...toNewsEventData(news),
+    breakingUntil: news.breakingUntil,
+  });
+
+export const publishVideoEvent = (video) =>
+  publishStreamEvent("video.published", {
+    videoId: video.videoId,
+    title: video.title,
+    publishedAt: video.publishedAt,
+    thumbnail: video.thumbnail,
+    link: video.link,
+  });
+
+// Relay: one poller per process, running only while clients are connected
+const subscribers = new Set();
+let relayedSeq = 0;
+let relayStarting = null;
+let relayTimer = null;
+let gapSince = null;
+
+const broadcast = (event) => {
+  for (const subscriber of subscribers) {
+    subscriber.deliver(event);
+  }
+};
+
+const findLatestSeq = async () => {
+  const latest = await StreamEvent.findOne()
+    .sort({ seq: -1 })
+    .select("seq")
+    .lean();
+
+  return latest?.seq ?? 0;
+};
+
+const relayNewEvents = async () => {
+  const events = await StreamEvent.find({ seq: { $gt: relayedSeq } })
+    .sort({ seq: 1 })
+    .limit(RELAY_BATCH_SIZE)
+    .lean();
+
+  for (const event of events) {
+    if (event.seq !== relayedSeq + 1) {
+      gapSince ??= Date.now();
+
+      if (Date.now() - gapSince < GAP_WAIT_MS) break;
+
+      log.warn(
+        { from: relayedSeq + 1, to: event.seq - 1 },
+        "stream_gap_skipped"
+      );
+    }
+
+    gapSince = null;
+    relayedSeq = event.seq;
+    broadcast(event);
+  }
+};
+
+const scheduleRelay = () => {
+  relayTimer = setTimeout(async () => {
+    try {
+      await relayNewEvents();
+    } catch (error) {
+      log.error({ err: error }, "stream_relay_failed");
+    }
+
+    if (subscribers.size > 0) {
+      scheduleRelay();
+    } else {
+      relayTimer = null;
+    }
+  }, STREAM_POLL_INTERVAL_MS);
+};
+
+/** Start relaying from the newest stored event, unless already running */
+const ensureRelay = async () => {
+  if (relayTimer) return;
+
+  relayStarting ??= findLatestSeq()
+    .then((seq) => {
+      relayedSeq = seq;
+      gapSince = null;
+      if (!relayTimer) scheduleRelay();
+    })
+    .finally(() => {
+      relayStarting = null;
+    });
+
+  await relayStarting;
+};
+
+/**
+ * Replay to `subscriber` what it missed up to what the relay has delivered.
+ * False when that is no longer possible: events have expired, too many were
+ * missed, or the id is unknown (the counter was reset).
+ */
+const replayMissed = async (subscriber) => {
+  if (subscriber.lastSeq > relayedSeq) {
+    // Another process may have relayed it a poll earlier than this one
+    return subscriber.lastSeq <= (await findLatestSeq());
+  }
+
+  while (subscriber.lastSeq < relayedSeq) {
+    const [oldest, events] = await Promise.all([
+      StreamEvent.findOne().sort({ seq: 1 }).select("seq").lean(),
+      StreamEvent.find({ seq: { $gt: subscriber.lastSeq, $lte: relayedSeq } })
+        .sort({ seq: 1 })
+        .limit(RESUME_LIMIT + 1)
+        .lean(),
+    ]);
+
+    if (
+      !oldest ||
+      oldest.seq > subscriber.lastSeq + 1 ||
+      events.length > RESUME_LIMIT
+    ) {
+      return false;
+    }
+
+    events.forEach(subscriber.deliver);
+
+    if (events.length === 0) break;
+  }
+
+  return true;
+};
+
+/**
+ * Subscribe to stream events. `send(event)` receives { seq, type, data }
+ * in seq order, starting after `lastEventId` when given; `resync()` is
+ * called instead when those events can no longer be replayed. `close()` is
+ * called on shutdown. Returns the unsubscribe function.
+ */
+export const subscribeToStream = async ({
+  lastEventId = null,
+  types = null,
+  send,
+  resync,
+  close,
+}) => {
+  const subscriber = {
+    lastSeq: lastEventId ?? 0,
+    deliver: (event) => {
+      if (event.seq <= subscriber.lastSeq) return;
+
+      subscriber.lastSeq = event.seq;
+      if (!types || types.includes(event.type)) send(event);
+    },
+    close,
+  };
+
+  await ensureRelay();
+
+  if (lastEventId !== null && !(await replayMissed(subscriber))) {
+    subscriber.lastSeq = 0;
+    resync();
+  }
+
+  // No await between the replay catching up and joining the relay, so no
+  // event is missed
+  subscribers.add(subscriber);
+
+  return () => {
+    subscribers.delete(subscriber);
+  };
+};
+
+/** Connected clients in this process */
+export const getStreamClientCount = () => subscribers.size;
+
+/** End every open stream (graceful shutdown: lets the HTTP server close) */
+export const closeEventStreams = () => {
+  for (const subscriber of [...subscribers]) {
+    subscribers.delete(subscriber);
+    subscriber.close();
+  }
+
+  clearTimeout(relayTimer);
+  relayTimer = null;
+};
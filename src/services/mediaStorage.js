@@ -0,0 +1,73 @@
+import { randomUUID } from "node:crypto";
+import fs from "fs/promises";
+import path from "path";
+import {
+  MEDIA_PUBLIC_URL,
+  MEDIA_STORAGE_DRIVER,
+  MEDIA_UPLOAD_DIR,
+} from "../config/config.js";
+
+/**
+ * Storage drivers for uploaded media. Every driver exposes:
+ *   name                               stored on Media.storageDriver
+ *   save({ key, buffer, contentType }) write the bytes under key
+ *   remove(key)                        delete them (missing is not an error)
+ *   getUrl(key)                        public URL for key
+ * Add a driver (e.g. S3) to `drivers` and select it with MEDIA_STORAGE_DRIVER.
+ */
+const createLocalDiskStorage = ({ rootDir, publicUrl }) => {
+  const resolveKey = (key) => {
+    const target = path.resolve(rootDir, key);
+
+    if (!target.startsWith(`${rootDir}${path.sep}`)) {
+      throw new Error(`Invalid media storage key: ${key}`);
+    }
+
+    return target;
+  };
+
+  return {
+    name: "local",
+
+    async save({ key, buffer }) {
+      const target = resolveKey(key);
+      // Unique per save: two uploads of one key in a process must not collide
+      const tempFile = `${target}.${process.pid}.${randomUUID()}.tmp`;
+
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      // Write then rename so a half-written file is never served
+      await fs.writeFile(tempFile, buffer);
+      await fs.rename(tempFile, target);
+    },
+
+    async remove(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getUrl: (key) => `${publicUrl}/${key}`,
+  };
+};
+
+const drivers = {
+  local: () =>
+    createLocalDiskStorage({
+      rootDir: MEDIA_UPLOAD_DIR,
+      publicUrl: MEDIA_PUBLIC_URL,
+    }),
+};
+
+let storage;
+
+export const getMediaStorage = () => {
+  if (!storage) {
+    const createStorage = drivers[MEDIA_STORAGE_DRIVER];
+
+    if (!createStorage) {
+      throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${MEDIA_STORAGE_DRIVER}`);
+    }
+
+    storage = createStorage();
+  }
+
+  return storage;
+};
@@ -0,0 +1,130 @@
+import { NEWS_LANGUAGES } from "../models/News.js";
+import { ApiError } from "../utils/ApiError.js";
+
+/**
+ * Language the reader asked for: ?lang= wins over Accept-Language.
+ * Returns null when neither names a supported language.
+ */
+export const resolveRequestedLanguage = (req) => {
+  const lang =
+    typeof req.query.lang === "string"
+      ? req.query.lang.trim().toLowerCase()
+      : "";
+
+  if (lang) {
+    if (!NEWS_LANGUAGES.includes(lang)) {
+      throw new ApiError(
+        400,
+        `lang must be one of: ${NEWS_LANGUAGES.join(", ")}`
+      );
+    }
+    return lang;
+  }
+
+  // acceptsLanguages() returns the first option when the header is absent
+  if (!req.get("Accept-Language")) {
+    return null;
+  }
+
+  return req.acceptsLanguages(...NEWS_LANGUAGES) || null;
+};
+
+/**
+ * Serve heading/body in `lang` when a translation exists, falling back to the
+ * original. Adds `language` (served), `originalLanguage` and
+ * `availableLanguages`; drops the raw translations unless `keepTranslations`.
+ */
+export const localizeNews = (news, lang, { keepTranslations = false } = {}) => {
+  const { translations = [], ...rest } = news;
+  const originalLanguage = news.language || "ml";
+  const translation =
+    lang && lang !== originalLanguage
+      ? translations.find((item) => item.language === lang)
+      : null;
+
+  const localized = {
+    ...rest,
+    language: translation ? translation.language : originalLanguage,
+    originalLanguage,
+    availableLanguages: [
+      originalLanguage,
+      ...translations.map((item) => item.language),
+    ],
+  };
+
+  if (translation) {
+    localized.heading = translation.heading;
+    if (translation.body !== undefined) {
+      localized.body = translation.body;
+    }
+  }
+
+  if (keepTranslations) {
+    localized.translations = translations;
+  }
+
+  return localized;
+};
+
+/**
+ * Validate `{ en: { heading, body }, ml: null }` from an admin request and
+ * merge it into the existing translations (null removes a language).
+ */
+export const mergeTranslations = (
+  input,
+  { language, existing = [] } = {}
+) => {
+  if (input === null || typeof input !== "object" || Array.isArray(input)) {
+    throw new ApiError(
+      400,
+      "translations must be an object keyed by language code"
+    );
+  }
+
+  const merged = new Map(existing.map((item) => [item.language, item]));
+  const errors = [];
+
+  for (const [lang, value] of Object.entries(input)) {
+    if (!NEWS_LANGUAGES.includes(lang)) {
+      errors.push({
+        field: `translations.${lang}`,
+        message: `Language must be one of: ${NEWS_LANGUAGES.join(", ")}`,
+      });
+      continue;
+    }
+
+    if (lang === language) {
+      errors.push({
+        field: `translations.${lang}`,
+        message: "Translation language must differ from the original",
+      });
+      continue;
+    }
+
+    if (value === null) {
+      merged.delete(lang);
+      continue;
+    }
+
+    const heading =
+      typeof value?.heading === "string" ? value.heading.trim() : "";
+    const body = typeof value?.body === "string" ? value.body.trim() : "";
+
+    if (!heading || !body) {
+      errors.push({
+        field: `translations.${lang}`,
+        message: "Heading and body are required for each translation",
+      });
+      continue;
+    }
+
+    merged.set(lang, { language: lang, heading, body });
+  }
+
+  if (errors.length > 0) {
+    throw new ApiError(400, "Invalid translations", errors);
+  }
+
+  // A translation in the (possibly changed) original language is redundant
+  return [...merged.values()].filter((item) => item.language !== language);
+};
@@ -0,0 +1,96 @@
+import os from "os";
+import { News } from "../models/News.js";
+import { NEWS_PUBLISH_LOCK_TTL_MS } from "../config/config.js";
+import { publishNewsEvent } from "./eventStream.js";
+import { invalidateNewsCaches } from "./readCache.js";
+import { runExclusiveJob } from "../utils/jobLock.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ job: "news-publish" });
+
+const JOB_NAME = "news-publish";
+const BATCH_SIZE = 100;
+/** What publishNewsEvent needs from each newly published article */
+const EVENT_FIELDS =
+  "slug heading language category isPremium status publishedAt updatedAt";
+const ownerId = `${os.hostname()}-${process.pid}`;
+
+/**
+ * Articles created before news had a status are treated as published,
+ * using their creation time as the publication time.
+ */
+const backfillLegacyNews = async () => {
+  const { modifiedCount } = await News.updateMany(
+    { status: { $exists: false } },
+    [{ $set: { status: "published", publishedAt: "$createdAt" } }]
+  );
+
+  if (modifiedCount > 0) {
+    log.info({ modifiedCount }, "legacy_news_backfilled");
+  }
+};
+
+/**
+ * Flip scheduled articles whose publishAt has passed to published.
+ */
+export const publishScheduledNews = async () => {
+  try {
+    return await runExclusiveJob(
+      { jobName: JOB_NAME, ownerId, ttlMs: NEWS_PUBLISH_LOCK_TTL_MS, log },
+      async () => {
+        await backfillLegacyNews();
+
+        let published = 0;
+
+        for (;;) {
+          const due = await News.find({
+            status: "scheduled",
+            publishAt: { $lte: new Date() },
+          })
+            .select("_id")
+            .sort({ publishAt: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+
+          if (due.length === 0) break;
+
+          const ids = due.map(({ _id }) => _id);
+
+          // Re-check status so an article unscheduled mid-run stays a draft
+          const { modifiedCount } = await News.updateMany(
+            { _id: { $in: ids }, status: "scheduled" },
+            [{ $set: { status: "published", publishedAt: "$publishAt" } }]
+          );
+
+          published += modifiedCount;
+
+          if (modifiedCount > 0) {
+            const publishedNews = await News.find({
+              _id: { $in: ids },
+              status: "published",
+            })
+              .select(EVENT_FIELDS)
+              .lean();
+
+            for (const news of publishedNews) {
+              await publishNewsEvent(news);
+            }
+          }
+
+          if (due.length < BATCH_SIZE) break;
+        }
+
+        if (published > 0) {
+          // Listings cached by the API processes now miss these articles
+          await invalidateNewsCaches();
+          log.info({ published }, "scheduled_news_published");
+        }
+
+        return { published };
+      }
+    );
+  } catch (error) {
+    log.error({ err: error }, "news_publish_error");
+    return { skipped: false, error, published: 0 };
+  }
+};
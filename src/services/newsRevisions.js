@@ -0,0 +1,104 @@
+import mongoose from "mongoose";
+import NewsRevision from "../models/NewsRevision.js";
+
+/** Article fields captured in every revision snapshot */
+export const REVISION_FIELDS = [
+  "slug",
+  "heading",
+  "body",
+  "language",
+  "translations",
+  "isPremium",
+  "category",
+  "tags",
+  "heroImage",
+  "gallery",
+  "status",
+  "publishAt",
+];
+
+/** Content fields a restore writes back; URL and publishing state are left alone */
+export const RESTORABLE_FIELDS = [
+  "heading",
+  "body",
+  "language",
+  "translations",
+  "isPremium",
+  "category",
+  "tags",
+  "heroImage",
+  "gallery",
+];
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value instanceof mongoose.Types.ObjectId) return String(value);
+  if (typeof value === "object") {
+    const plain = typeof value.toObject === "function" ? value.toObject() : value;
+    return Object.fromEntries(
+      Object.keys(plain)
+        .filter((key) => key !== "_id")
+        .sort()
+        .map((key) => [key, normalizeValue(plain[key])])
+    );
+  }
+  return value;
+};
+
+const isSameValue = (a, b) =>
+  JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+export const toSnapshot = (news) =>
+  Object.fromEntries(
+    REVISION_FIELDS.map((field) => [field, news[field] ?? null])
+  );
+
+/**
+ * Names of the tracked fields that differ between two article states.
+ */
+export const getChangedFields = (before, after, fields = REVISION_FIELDS) =>
+  fields.filter((field) => !isSameValue(before?.[field], after?.[field]));
+
+/**
+ * Articles written before revisions existed have no history; capture their
+ * current state as revision 0 before the first change overwrites it.
+ */
+export const ensureBaselineRevision = async (news) => {
+  if (news.revision !== undefined && news.revision !== null) {
+    return;
+  }
+
+  await NewsRevision.updateOne(
+    { news: news._id, revision: 0 },
+    {
+      $setOnInsert: {
+        action: "baseline",
+        changedFields: [],
+        snapshot: toSnapshot(news),
+      },
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Store the article's state after a write as its current revision.
+ */
+export const recordRevision = ({
+  news,
+  action,
+  author,
+  changedFields,
+  restoredFrom,
+}) =>
+  NewsRevision.create({
+    news: news._id,
+    revision: news.revision,
+    action,
+    author,
+    changedFields,
+    restoredFrom,
+    snapshot: toSnapshot(news),
+  });
@@ -0,0 +1,67 @@
+import { nanoid } from "nanoid";
+import { News } from "../models/News.js";
+import { slugify } from "../utils/slugify.js";
+
+const SLUG_MAX_LENGTH = 80;
+const MAX_SUFFIX_ATTEMPTS = 20;
+
+/**
+ * Static segments routed before /api/v1/news/:slug (see news.routes.js):
+ * an article slugged "search" could never be read. Keep in step with the
+ * router.
+ */
+export const RESERVED_SLUGS = new Set([
+  "search",
+  "breaking",
+  "trending",
+  "trash",
+  "export",
+  "import",
+]);
+
+/**
+ * True when `slug` is reserved, or the current or a former slug of another
+ * article. Former slugs stay reserved so their redirects keep working, and
+ * trashed articles keep theirs until purged so they can be restored.
+ */
+export const isSlugTaken = async (slug, { excludeId } = {}) => {
+  if (RESERVED_SLUGS.has(slug)) return true;
+
+  const filter = { $or: [{ slug }, { previousSlugs: slug }] };
+
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+
+  return Boolean(await News.exists(filter).setOptions({ withDeleted: true }));
+};
+
+/**
+ * Build a readable, unique slug from a heading: "kerala-floods",
+ * then "kerala-floods-2", "kerala-floods-3", … ("search" becomes
+ * "search-2"). Slugs in `reserved` (a Set) count as taken too, for batches
+ * not yet written.
+ */
+export const generateUniqueSlug = async (
+  source,
+  { excludeId, reserved } = {}
+) => {
+  const base = slugify(source, SLUG_MAX_LENGTH) || nanoid(8).toLowerCase();
+
+  for (let attempt = 1; attempt <= MAX_SUFFIX_ATTEMPTS; attempt += 1) {
+    const suffix = attempt === 1 ? "" : `-${attempt}`;
+    const candidate = `${base.slice(0, SLUG_MAX_LENGTH - suffix.length)}${suffix}`;
+
+    if (
+      !reserved?.has(candidate) &&
+      !(await isSlugTaken(candidate, { excludeId }))
+    ) {
+      return candidate;
+    }
+  }
+
+  return `${base.slice(0, SLUG_MAX_LENGTH - 9)}-${nanoid(8).toLowerCase()}`;
+};
+
+export const isDuplicateSlugError = (error) =>
+  error?.code === 11000 && Boolean(error?.keyPattern?.slug);
@@ -0,0 +1,647 @@
+import path from "path";
+import Category from "../models/Category.js";
+import {
+  News,
+  NEWS_LANGUAGES,
+  NEWS_MAX_TAGS,
+  NEWS_STATUSES,
+  NEWS_TAG_MAX_LENGTH,
+} from "../models/News.js";
+import { mergeTranslations } from "./newsLocalization.js";
+import { RESERVED_SLUGS, generateUniqueSlug } from "./newsSlugs.js";
+import { invalidateNewsCaches } from "./readCache.js";
+import { ApiError } from "../utils/ApiError.js";
+import { parseCsv, toCsvRow } from "../utils/csv.js";
+import { parseDateParam } from "../utils/dateParam.js";
+import { slugify } from "../utils/slugify.js";
+import { htmlToText, parseWxrItems } from "../utils/wxr.js";
+
+export const NEWS_EXPORT_FORMATS = ["ndjson", "csv"];
+export const NEWS_IMPORT_FORMATS = ["ndjson", "csv", "wxr"];
+/**
+ * What to do with a row whose slug is already used: leave it out, or import
+ * it under the next free slug
+ */
+export const SLUG_CONFLICT_MODES = ["skip", "rename"];
+
+/** Exported fields, in CSV column order; imports read the same names */
+const TRANSFER_FIELDS = [
+  "slug",
+  "heading",
+  "body",
+  "language",
+  "translations",
+  "status",
+  "isPremium",
+  "category",
+  "tags",
+  "publishAt",
+  "publishedAt",
+  "createdAt",
+  "updatedAt",
+];
+const DATE_FIELDS = ["publishAt", "publishedAt", "createdAt", "updatedAt"];
+const IMPORT_BATCH_SIZE = 200;
+/** Rows listed in an import report; the summary still counts every row */
+const MAX_REPORT_ROWS = 5000;
+const FORMAT_BY_EXTENSION = {
+  ".ndjson": "ndjson",
+  ".jsonl": "ndjson",
+  ".csv": "csv",
+  ".xml": "wxr",
+};
+// WordPress post status → ours. Anything else (trash, auto-draft) is ignored.
+const WXR_STATUSES = {
+  publish: "published",
+  future: "scheduled",
+  draft: "draft",
+  pending: "draft",
+  private: "archived",
+};
+
+/**
+ * Filter for an export: one status or "all", and an optional [from, to)
+ * range on publishedAt (createdAt for articles never published).
+ * Trashed articles are never exported.
+ */
+export const buildExportFilter = ({ status = "all", from, to } = {}) => {
+  if (status !== "all" && !NEWS_STATUSES.includes(status)) {
+    throw new ApiError(
+      400,
+      `Status must be one of: ${[...NEWS_STATUSES, "all"].join(", ")}`
+    );
+  }
+
+  const fromDate = parseDateParam(from, "from");
+  const toDate = parseDateParam(to, "to", { endOfDay: true });
+
+  if (fromDate && toDate && fromDate >= toDate) {
+    throw new ApiError(400, "from must be earlier than to");
+  }
+
+  const filter = status === "all" ? {} : { status };
+  const range = {};
+
+  if (fromDate) range.$gte = fromDate;
+  if (toDate) range.$lt = toDate;
+
+  if (fromDate || toDate) {
+    filter.$or = [
+      { publishedAt: range },
+      { publishedAt: null, createdAt: range },
+    ];
+  }
+
+  return filter;
+};
+
+const toExportRecord = (news) => ({
+  slug: news.slug,
+  heading: news.heading,
+  body: news.body,
+  language: news.language || "ml",
+  translations: (news.translations || []).map(
+    ({ language, heading, body }) => ({ language, heading, body })
+  ),
+  status: news.status,
+  isPremium: Boolean(news.isPremium),
+  category: news.category?.slug ?? null,
+  tags: news.tags || [],
+  publishAt: news.publishAt ?? null,
+  publishedAt: news.publishedAt ?? null,
+  createdAt: news.createdAt,
+  updatedAt: news.updatedAt,
+});
+
+const toCsvValue = (field, value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (field === "tags") return value.join(",");
+  if (field === "translations") {
+    return value.length ? JSON.stringify(value) : "";
+  }
+  return value;
+};
+
+/** Write to a stream, waiting while it is full; rejects if it closes first */
+const writeChunk = (output, chunk) => {
+  if (output.write(chunk)) {
+    return null;
+  }
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      output.off("drain", onDrain);
+      reject(new Error("Output closed before the export finished"));
+    };
+
+    output.once("drain", onDrain);
+    output.once("close", onClose);
+  });
+};
+
+/**
+ * Stream the articles matching `filter` to `output` (an HTTP response, file
+ * or any writable stream), oldest first, as NDJSON or CSV. The stream is
+ * left open. Returns how many articles were written.
+ */
+export const exportNews = async ({ format, filter, output }) => {
+  if (!NEWS_EXPORT_FORMATS.includes(format)) {
+    throw new ApiError(
+      400,
+      `Format must be one of: ${NEWS_EXPORT_FORMATS.join(", ")}`
+    );
+  }
+
+  if (format === "csv") {
+    await writeChunk(output, toCsvRow(TRANSFER_FIELDS));
+  }
+
+  const cursor = News.find(filter)
+    .select(TRANSFER_FIELDS.join(" "))
+    .populate("category", "slug")
+    .sort({ createdAt: 1, _id: 1 })
+    .lean()
+    .cursor();
+  let count = 0;
+
+  for await (const news of cursor) {
+    const record = toExportRecord(news);
+
+    await writeChunk(
+      output,
+      format === "csv"
+        ? toCsvRow(
+            TRANSFER_FIELDS.map((field) => toCsvValue(field, record[field]))
+          )
+        : `${JSON.stringify(record)}\n`
+    );
+    count += 1;
+  }
+
+  return count;
+};
+
+/** Import format implied by a file name, or null */
+export const detectImportFormat = (fileName) =>
+  FORMAT_BY_EXTENSION[path.extname(fileName || "").toLowerCase()] ?? null;
+
+const parseNdjsonRows = (text) =>
+  text.split("\n").flatMap((line, index) => {
+    if (!line.trim()) return [];
+
+    const row = index + 1;
+    try {
+      const data = JSON.parse(line);
+      return data && typeof data === "object" && !Array.isArray(data)
+        ? [{ ...data, row }]
+        : [{ row, error: "Line is not a JSON object" }];
+    } catch {
+      return [{ row, error: "Line is not valid JSON" }];
+    }
+  });
+
+const parseCsvRows = (text) => {
+  let records;
+  try {
+    records = parseCsv(text);
+  } catch (error) {
+    throw new ApiError(400, error.message);
+  }
+
+  const [header, ...rows] = records;
+  const columns = (header || []).map((column) => column.trim());
+
+  if (!columns.includes("heading") || !columns.includes("body")) {
+    throw new ApiError(
+      400,
+      "CSV header must include at least heading and body columns"
+    );
+  }
+
+  return rows.map((fields) =>
+    fields.length === columns.length
+      ? {
+          ...Object.fromEntries(
+            columns.map((column, index) => [column, fields[index]])
+          ),
+          row: fields.line,
+        }
+      : {
+          row: fields.line,
+          error: `Expected ${columns.length} fields, found ${fields.length}`,
+        }
+  );
+};
+
+/** "2019-05-04 10:22:11" (GMT) → ISO string; all zeros means unset */
+const parseWxrDate = (value) =>
+  /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) &&
+  !value.startsWith("0000")
+    ? `${value.replace(" ", "T")}Z`
+    : null;
+
+const decodeWxrSlug = (value) => {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+};
+
+const parseWxrRows = (text) => {
+  if (!/<rss\b/.test(text) || !/xmlns:wp=/.test(text)) {
+    throw new ApiError(400, "File is not a WordPress export (WXR)");
+  }
+
+  return parseWxrItems(text).map((item, index) => {
+    const row = index + 1;
+    const status = WXR_STATUSES[item.status];
+
+    // Pages, attachments, menu items and trashed posts are not articles
+    if (item.postType !== "post" || !status) {
+      return { row, ignored: true };
+    }
+
+    const date = parseWxrDate(item.dateGmt);
+
+    return {
+      row,
+      heading: htmlToText(item.title),
+      body: htmlToText(item.content),
+      slug: decodeWxrSlug(item.postName),
+      status,
+      publishAt: status === "scheduled" ? date : null,
+      publishedAt:
+        status === "published" || status === "archived" ? date : null,
+      createdAt: date,
+      category: item.categories[0]?.nicename || null,
+      tags: item.tags.map(({ name }) => name),
+    };
+  });
+};
+
+const trimmed = (value) => (typeof value === "string" ? value.trim() : "");
+
+const parseBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  if (value === undefined || value === null || value === "") return false;
+
+  const normalized = String(value).trim().toLowerCase();
+  if (["true", "1", "yes"].includes(normalized)) return true;
+  if (["false", "0", "no"].includes(normalized)) return false;
+  return undefined;
+};
+
+const parseTranslations = (value, language) => {
+  let list = value;
+
+  if (typeof value === "string") {
+    list = value.trim() ? JSON.parse(value) : [];
+  }
+
+  if (list === undefined || list === null) {
+    return [];
+  }
+
+  // Exports hold an array; the API's { en: { heading, body } } works too
+  const byLanguage = Array.isArray(list)
+    ? Object.fromEntries(
+        list.map(({ language: lang, heading, body } = {}) => [
+          lang,
+          { heading, body },
+        ])
+      )
+    : list;
+
+  return mergeTranslations(byLanguage, { language });
+};
+
+/**
+ * Turn one parsed row into News fields. Problems that make the row unusable
+ * are `errors`; ones the import works around (tags over the limit, an
+ * unknown category) are `warnings`.
+ */
+const prepareRow = (raw, { categories, defaultLanguage }) => {
+  const errors = [];
+  const warnings = [];
+  const data = {
+    heading: trimmed(raw.heading),
+    body: trimmed(raw.body),
+    language: trimmed(raw.language) || defaultLanguage,
+    status: trimmed(raw.status) || "published",
+    isPremium: parseBoolean(raw.isPremium),
+  };
+
+  if (!data.heading) errors.push("heading is required");
+  if (!data.body) errors.push("body is required");
+
+  if (!NEWS_LANGUAGES.includes(data.language)) {
+    errors.push(`language must be one of: ${NEWS_LANGUAGES.join(", ")}`);
+  }
+
+  if (!NEWS_STATUSES.includes(data.status)) {
+    errors.push(`status must be one of: ${NEWS_STATUSES.join(", ")}`);
+  }
+
+  if (data.isPremium === undefined) {
+    errors.push("isPremium must be true or false");
+  }
+
+  for (const field of DATE_FIELDS) {
+    const value = raw[field];
+    if (value === undefined || value === null || value === "") continue;
+
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      errors.push(`${field} must be a valid date`);
+    } else {
+      data[field] = date;
+    }
+  }
+
+  if (data.status === "scheduled" && !data.publishAt) {
+    errors.push("publishAt is required for scheduled news");
+  }
+
+  if (data.status === "published" && !data.publishedAt) {
+    data.publishedAt = data.createdAt ?? new Date();
+  }
+
+  try {
+    data.translations = parseTranslations(raw.translations, data.language);
+  } catch (error) {
+    errors.push(
+      error instanceof ApiError ? error.message : "translations must be JSON"
+    );
+  }
+
+  const tags = [
+    ...new Set(
+      (Array.isArray(raw.tags) ? raw.tags : trimmed(raw.tags).split(","))
+        .map((tag) => trimmed(tag).toLowerCase())
+        .filter(Boolean)
+    ),
+  ];
+  const fittingTags = tags.filter((tag) => tag.length <= NEWS_TAG_MAX_LENGTH);
+
+  if (fittingTags.length < tags.length) {
+    warnings.push(
+      `Dropped tags longer than ${NEWS_TAG_MAX_LENGTH} characters`
+    );
+  }
+  if (fittingTags.length > NEWS_MAX_TAGS) {
+    warnings.push(`Kept the first ${NEWS_MAX_TAGS} tags`);
+  }
+  data.tags = fittingTags.slice(0, NEWS_MAX_TAGS);
+
+  const categorySlug = trimmed(raw.category).toLowerCase();
+  if (categorySlug) {
+    data.category = categories.get(categorySlug) ?? null;
+    if (!data.category) {
+      warnings.push(`Unknown category "${categorySlug}"; imported without one`);
+    }
+  }
+
+  data.slug = slugify(trimmed(raw.slug)) || slugify(data.heading) || null;
+
+  return { data, errors, warnings };
+};
+
+const parseImportRows = (content, format) => {
+  switch (format) {
+    case "ndjson":
+      return parseNdjsonRows(content);
+    case "csv":
+      return parseCsvRows(content);
+    case "wxr":
+      return parseWxrRows(content);
+    default:
+      throw new ApiError(
+        400,
+        `Format must be one of: ${NEWS_IMPORT_FORMATS.join(", ")}`
+      );
+  }
+};
+
+/**
+ * Those of `slugs` that are reserved, or used now or formerly by any
+ * article, trashed included
+ */
+const findTakenSlugs = async (slugs) => {
+  const existing = await News.find(
+    { $or: [{ slug: { $in: slugs } }, { previousSlugs: { $in: slugs } }] },
+    "slug previousSlugs"
+  )
+    .setOptions({ withDeleted: true })
+    .lean();
+
+  return new Set([
+    ...slugs.filter((slug) => RESERVED_SLUGS.has(slug)),
+    ...existing.flatMap(({ slug, previousSlugs }) => [
+      slug,
+      ...(previousSlugs || []),
+    ]),
+  ]);
+};
+
+/**
+ * Import articles from an NDJSON, CSV or WordPress WXR file's text.
+ * Rows are validated, checked for slug conflicts (with the database and with
+ * earlier rows) and inserted in batches; with `dryRun` nothing is written.
+ * Imported articles keep their dates and get `author` as byline.
+ *
+ * Returns { dryRun, summary, rows, reportTruncated } where `rows` lists every
+ * row that failed, was skipped, renamed or imported with warnings.
+ */
+export const importNews = async ({
+  content,
+  format,
+  dryRun = false,
+  onConflict = "skip",
+  language = "ml",
+  author = null,
+}) => {
+  if (!SLUG_CONFLICT_MODES.includes(onConflict)) {
+    throw new ApiError(
+      400,
+      `onConflict must be one of: ${SLUG_CONFLICT_MODES.join(", ")}`
+    );
+  }
+
+  if (!NEWS_LANGUAGES.includes(language)) {
+    throw new ApiError(
+      400,
+      `Language must be one of: ${NEWS_LANGUAGES.join(", ")}`
+    );
+  }
+
+  const rows = parseImportRows(content, format);
+  const categories = new Map(
+    (await Category.find({}, "slug").lean()).map(({ _id, slug }) => [slug, _id])
+  );
+  const summary = {
+    total: 0,
+    imported: 0,
+    renamed: 0,
+    skipped: 0,
+    failed: 0,
+    ignored: 0,
+  };
+  const report = [];
+  let reportable = 0;
+  // Slugs taken by earlier rows of this file
+  const claimed = new Set();
+
+  const addReport = ({ errors, warnings, ...entry }) => {
+    reportable += 1;
+    if (report.length >= MAX_REPORT_ROWS) return;
+    report.push({
+      ...entry,
+      ...(errors?.length ? { errors } : {}),
+      ...(warnings?.length ? { warnings } : {}),
+    });
+  };
+
+  for (let start = 0; start < rows.length; start += IMPORT_BATCH_SIZE) {
+    const prepared = [];
+
+    for (const raw of rows.slice(start, start + IMPORT_BATCH_SIZE)) {
+      if (raw.ignored) {
+        summary.ignored += 1;
+        continue;
+      }
+
+      summary.total += 1;
+
+      const { data, errors, warnings } = raw.error
+        ? { data: {}, errors: [raw.error], warnings: [] }
+        : prepareRow(raw, { categories, defaultLanguage: language });
+      const news = errors.length ? null : new News({ ...data, author });
+      const validationError = news?.validateSync();
+
+      if (validationError) {
+        errors.push(
+          ...Object.values(validationError.errors).map(({ message }) => message)
+        );
+      }
+
+      if (errors.length) {
+        summary.failed += 1;
+        addReport({
+          row: raw.row,
+          slug: data.slug ?? null,
+          result: "failed",
+          errors,
+          warnings,
+        });
+        continue;
+      }
+
+      prepared.push({ row: raw.row, news, warnings });
+    }
+
+    const taken = prepared.length
+      ? await findTakenSlugs(prepared.map(({ news }) => news.slug))
+      : new Set();
+    const accepted = [];
+
+    for (const item of prepared) {
+      const { slug } = item.news;
+
+      if (taken.has(slug) || claimed.has(slug)) {
+        if (onConflict === "skip") {
+          summary.skipped += 1;
+          addReport({
+            row: item.row,
+            slug,
+            result: "skipped",
+            errors: ["Slug is already in use"],
+            warnings: item.warnings,
+          });
+          continue;
+        }
+
+        item.originalSlug = slug;
+        item.news.slug = await generateUniqueSlug(slug, {
+          reserved: { has: (value) => taken.has(value) || claimed.has(value) },
+        });
+      }
+
+      claimed.add(item.news.slug);
+      accepted.push(item);
+    }
+
+    // index in `accepted` → reason the insert failed
+    const failures = new Map();
+
+    if (!dryRun && accepted.length) {
+      try {
+        await News.insertMany(
+          accepted.map(({ news }) => news),
+          { ordered: false }
+        );
+      } catch (error) {
+        if (!error?.writeErrors) {
+          throw error;
+        }
+
+        // A concurrent write took a slug between the check and the insert
+        for (const writeError of [].concat(error.writeErrors)) {
+          failures.set(
+            writeError.index,
+            writeError.code === 11000
+              ? "Slug is already in use"
+              : writeError.errmsg || "Insert failed"
+          );
+        }
+      }
+    }
+
+    accepted.forEach((item, index) => {
+      const failure = failures.get(index);
+
+      if (failure) {
+        summary.failed += 1;
+        addReport({
+          row: item.row,
+          slug: item.news.slug,
+          result: "failed",
+          errors: [failure],
+          warnings: item.warnings,
+        });
+        return;
+      }
+
+      summary.imported += 1;
+      if (item.originalSlug) {
+        summary.renamed += 1;
+      }
+
+      if (item.originalSlug || item.warnings.length) {
+        addReport({
+          row: item.row,
+          slug: item.news.slug,
+          ...(item.originalSlug ? { originalSlug: item.originalSlug } : {}),
+          result: item.originalSlug ? "renamed" : "imported",
+          warnings: item.warnings,
+        });
+      }
+    });
+  }
+
+  if (!dryRun && summary.imported > 0) {
+    await invalidateNewsCaches();
+  }
+
+  return {
+    dryRun,
+    summary,
+    rows: report.sort((a, b) => a.row - b.row),
+    reportTruncated: reportable > report.length,
+  };
+};
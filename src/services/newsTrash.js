@@ -0,0 +1,91 @@
+import os from "os";
+import { News } from "../models/News.js";
+import NewsRevision from "../models/NewsRevision.js";
+import Comment from "../models/Comment.js";
+import Bookmark from "../models/Bookmark.js";
+import LiveBlogEntry from "../models/LiveBlogEntry.js";
+import { NEWS_TRASH_RETENTION_DAYS } from "../config/config.js";
+import { runExclusiveJob } from "../utils/jobLock.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ job: "news-trash-purge" });
+
+const JOB_NAME = "news-trash-purge";
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ownerId = `${os.hostname()}-${process.pid}`;
+
+/**
+ * Permanently remove trashed articles and everything stored against them.
+ * Only touches articles that are still in the trash: one restored since the
+ * caller listed it keeps its document and everything attached to it.
+ */
+export const purgeTrashedNews = async (ids) => {
+  const purgedIds = [];
+
+  // One at a time, so exactly the deleted articles lose their dependents
+  for (const _id of ids) {
+    const purged = await News.findOneAndDelete({
+      _id,
+      deletedAt: { $ne: null },
+    })
+      .select("_id")
+      .lean();
+
+    if (purged) {
+      purgedIds.push(purged._id);
+    }
+  }
+
+  if (purgedIds.length === 0) {
+    return 0;
+  }
+
+  await NewsRevision.deleteMany({ news: { $in: purgedIds } });
+  await Comment.deleteMany({ news: { $in: purgedIds } });
+  await Bookmark.deleteMany({ itemType: "news", item: { $in: purgedIds } });
+  await LiveBlogEntry.deleteMany({ news: { $in: purgedIds } });
+
+  return purgedIds.length;
+};
+
+/**
+ * Purge articles that have been in the trash longer than
+ * NEWS_TRASH_RETENTION_DAYS.
+ */
+export const purgeExpiredTrash = async () => {
+  try {
+    return await runExclusiveJob(
+      { jobName: JOB_NAME, ownerId, ttlMs: LOCK_TTL_MS, log },
+      async () => {
+        const cutoff = new Date(
+          Date.now() - NEWS_TRASH_RETENTION_DAYS * DAY_MS
+        );
+        let purged = 0;
+
+        for (;;) {
+          const expired = await News.find({ deletedAt: { $lte: cutoff } })
+            .select("_id")
+            .limit(BATCH_SIZE)
+            .lean();
+
+          if (expired.length === 0) break;
+
+          purged += await purgeTrashedNews(expired.map(({ _id }) => _id));
+
+          if (expired.length < BATCH_SIZE) break;
+        }
+
+        if (purged > 0) {
+          log.info({ purged }, "trashed_news_purged");
+        }
+
+        return { purged };
+      }
+    );
+  } catch (error) {
+    log.error({ err: error }, "news_trash_purge_error");
+    return { skipped: false, error, purged: 0 };
+  }
+};
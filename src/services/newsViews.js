@@ -0,0 +1,247 @@
+import { News } from "../models/News.js";
+import NewsView from "../models/NewsView.js";
+import NewsViewStat from "../models/NewsViewStat.js";
+import { NEWS_VIEW_FLUSH_INTERVAL_MS } from "../config/config.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: "news-views" });
+
+const HOUR_MS = 60 * 60 * 1000;
+/** Flush early once this many views are waiting */
+const FLUSH_BATCH_SIZE = 500;
+/** Drop new views rather than grow without bound while the DB is down */
+const MAX_PENDING_VIEWS = 10000;
+
+// key "<newsId>:<readerKey>:<hour>" → view; the Map also de-duplicates
+// repeat reads between flushes
+let pending = new Map();
+let flushTimer = null;
+let flushing = null;
+
+const startOfHour = (date) =>
+  new Date(Math.floor(date.getTime() / HOUR_MS) * HOUR_MS);
+
+const countBy = (items, keyOf) => {
+  const counts = new Map();
+
+  for (const item of items) {
+    const key = keyOf(item);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+
+  return counts;
+};
+
+/**
+ * Write buffered views. A view counts only if its (article, reader, hour)
+ * row is new, so repeat reads and other API instances never double count.
+ */
+const writeViews = async (views) => {
+  let upsertedIds = {};
+
+  try {
+    const result = await NewsView.bulkWrite(
+      views.map(({ news, readerKey, hour }) => ({
+        updateOne: {
+          filter: { news, readerKey, hour },
+          update: {
+            $setOnInsert: {
+              expiresAt: new Date(hour.getTime() + 2 * HOUR_MS),
+            },
+          },
+          upsert: true,
+        },
+      })),
+      { ordered: false }
+    );
+    upsertedIds = result.upsertedIds || {};
+  } catch (error) {
+    // Concurrent upserts of the same row lose with E11000: already counted
+    const writeErrors = error?.writeErrors || [];
+    if (!error?.result || writeErrors.some((e) => e.code !== 11000)) {
+      throw error;
+    }
+    upsertedIds = error.result.upsertedIds || {};
+  }
+
+  const counted = Object.keys(upsertedIds).map((index) => views[index]);
+
+  if (counted.length === 0) {
+    return 0;
+  }
+
+  const perHour = countBy(
+    counted,
+    (view) => `${view.news}:${view.hour.getTime()}`
+  );
+  await NewsViewStat.bulkWrite(
+    [...perHour].map(([key, views]) => {
+      const [news, hour] = key.split(":");
+      return {
+        updateOne: {
+          filter: { news, hour: new Date(Number(hour)) },
+          update: { $inc: { views } },
+          upsert: true,
+        },
+      };
+    }),
+    { ordered: false }
+  );
+
+  // viewCount is a counter, not an edit: leave updatedAt (and caches) alone
+  const perArticle = countBy(counted, (view) => String(view.news));
+  await News.bulkWrite(
+    [...perArticle].map(([news, views]) => ({
+      updateOne: {
+        filter: { _id: news },
+        update: { $inc: { viewCount: views } },
+        timestamps: false,
+      },
+    })),
+    { ordered: false }
+  );
+
+  return counted.length;
+};
+
+/**
+ * Write out everything buffered so far. Safe to call at any time; concurrent
+ * calls share the flush in progress.
+ */
+export const flushNewsViews = async () => {
+  if (flushing) {
+    return flushing;
+  }
+
+  if (pending.size === 0) {
+    return 0;
+  }
+
+  const views = [...pending.values()];
+  pending = new Map();
+
+  flushing = writeViews(views)
+    .then((counted) => {
+      log.debug({ buffered: views.length, counted }, "news_views_flushed");
+      return counted;
+    })
+    .catch((error) => {
+      log.error(
+        { err: error, dropped: views.length },
+        "news_views_flush_failed"
+      );
+      return 0;
+    })
+    .finally(() => {
+      flushing = null;
+    });
+
+  return flushing;
+};
+
+/**
+ * Flush until nothing is buffered or in flight, for shutdown: views recorded
+ * while a flush is running would otherwise be left behind. Failed flushes
+ * drop their views, so this always ends.
+ */
+export const drainNewsViews = async () => {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+
+  let counted = 0;
+
+  while (flushing || pending.size > 0) {
+    counted += await flushNewsViews();
+  }
+
+  return counted;
+};
+
+const scheduleFlush = () => {
+  if (flushTimer) return;
+
+  flushTimer = setTimeout(() => {
+    flushTimer = null;
+    flushNewsViews();
+  }, NEWS_VIEW_FLUSH_INTERVAL_MS);
+  // Never keep the process alive just to flush views
+  flushTimer.unref();
+};
+
+/**
+ * Buffer a view of `news` by a reader. Anonymous readers are identified by
+ * their device cookie; a view with neither user nor device is ignored.
+ */
+export const recordNewsView = ({ news, user, deviceId }) => {
+  const readerKey = user?._id
+    ? `user:${user._id}`
+    : deviceId
+      ? `device:${deviceId}`
+      : null;
+
+  if (!news?._id || !readerKey || pending.size >= MAX_PENDING_VIEWS) {
+    return;
+  }
+
+  const hour = startOfHour(new Date());
+  const key = `${news._id}:${readerKey}:${hour.getTime()}`;
+
+  if (!pending.has(key)) {
+    pending.set(key, { news: news._id, readerKey, hour });
+  }
+
+  scheduleFlush();
+
+  if (pending.size >= FLUSH_BATCH_SIZE) {
+    flushNewsViews();
+  }
+};
+
+/**
+ * Trending windows and the half-life applied inside each: a view loses half
+ * its weight every `halfLifeHours`, so fresh readership outranks old totals.
+ */
+export const TRENDING_WINDOWS = {
+  "6h": { hours: 6, halfLifeHours: 2 },
+  "24h": { hours: 24, halfLifeHours: 6 },
+  "7d": { hours: 7 * 24, halfLifeHours: 24 },
+};
+
+/**
+ * Most-read article ids in a window, best first, with their decayed score.
+ */
+export const getTrendingNewsIds = async ({ window, limit }) => {
+  const { hours, halfLifeHours } = TRENDING_WINDOWS[window];
+  const now = Date.now();
+  const since = startOfHour(new Date(now - hours * HOUR_MS));
+
+  return NewsViewStat.aggregate([
+    { $match: { hour: { $gte: since } } },
+    {
+      $group: {
+        _id: "$news",
+        views: { $sum: "$views" },
+        score: {
+          $sum: {
+            $multiply: [
+              "$views",
+              {
+                $pow: [
+                  0.5,
+                  {
+                    $divide: [
+                      { $subtract: [new Date(now), "$hour"] },
+                      halfLifeHours * HOUR_MS,
+                    ],
+                  },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+    { $sort: { score: -1, _id: -1 } },
+    { $limit: limit },
+  ]);
+};
@@ -0,0 +1,148 @@
+import ArticleMeter from "../models/ArticleMeter.js";
+import Subscription from "../models/Subscription.js";
+import { hasPermission } from "../config/permissions.js";
+import {
+  NEWS_TEASER_LENGTH,
+  PAYWALL_FREE_ARTICLES_PER_MONTH,
+} from "../config/config.js";
+
+// Asia/Kolkata has no DST, so a fixed offset is enough for month boundaries
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const METER_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Calendar month (IST) containing `date`, as a YYYY-MM key plus the instant
+ * the next month starts.
+ */
+const getMeterPeriod = (date = new Date()) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const year = ist.getUTCFullYear();
+  const month = ist.getUTCMonth();
+
+  return {
+    period: `${year}-${String(month + 1).padStart(2, "0")}`,
+    resetsAt: new Date(Date.UTC(year, month + 1, 1) - IST_OFFSET_MS),
+  };
+};
+
+const getReaderKey = ({ user, deviceId }) => {
+  if (user?._id) return `user:${user._id}`;
+  if (deviceId) return `device:${deviceId}`;
+  return null;
+};
+
+/**
+ * Count a premium read against the reader's monthly allowance.
+ * Re-opening an article already counted this month is free.
+ * Returns { allowed, remaining, limit, resetsAt }.
+ */
+const consumeMeteredRead = async ({ readerKey, newsId }) => {
+  const limit = PAYWALL_FREE_ARTICLES_PER_MONTH;
+  const { period, resetsAt } = getMeterPeriod();
+  const meterFor = (meter) => ({
+    limit,
+    remaining: Math.max(0, limit - (meter?.articleIds?.length || 0)),
+    resetsAt,
+  });
+
+  const alreadyRead = await ArticleMeter.findOne({
+    readerKey,
+    period,
+    articleIds: newsId,
+  }).lean();
+
+  if (alreadyRead) {
+    return { allowed: true, ...meterFor(alreadyRead) };
+  }
+
+  if (limit <= 0) {
+    return { allowed: false, limit, remaining: 0, resetsAt };
+  }
+
+  try {
+    // Only matches while fewer than `limit` articles are recorded; a full
+    // meter falls through to the upsert and fails on the unique index.
+    const meter = await ArticleMeter.findOneAndUpdate(
+      {
+        readerKey,
+        period,
+        [`articleIds.${limit - 1}`]: { $exists: false },
+      },
+      {
+        $addToSet: { articleIds: newsId },
+        $setOnInsert: {
+          expiresAt: new Date(resetsAt.getTime() + METER_RETENTION_MS),
+        },
+      },
+      { upsert: true, new: true }
+    ).lean();
+
+    return { allowed: true, ...meterFor(meter) };
+  } catch (error) {
+    if (error?.code !== 11000) {
+      throw error;
+    }
+
+    return { allowed: false, limit, remaining: 0, resetsAt };
+  }
+};
+
+/**
+ * Shorten an article body to a teaser, cutting on a word boundary when possible.
+ */
+export const buildTeaser = (body, length = NEWS_TEASER_LENGTH) => {
+  if (typeof body !== "string" || body.length <= length) {
+    return body;
+  }
+
+  const cut = body.slice(0, length);
+  const lastSpace = cut.lastIndexOf(" ");
+  const teaser = lastSpace > length * 0.6 ? cut.slice(0, lastSpace) : cut;
+
+  return `${teaser.trimEnd()}…`;
+};
+
+/**
+ * Decide whether a reader may see the full text of an article.
+ * Returns { locked, reason } — reason is useful to clients for messaging —
+ * plus the monthly meter when the free allowance was consulted.
+ */
+export const resolveArticleAccess = async ({ news, user, deviceId }) => {
+  if (!news.isPremium) {
+    return { locked: false, reason: "free" };
+  }
+
+  if (hasPermission(user, "paywall:bypass")) {
+    return { locked: false, reason: "staff" };
+  }
+
+  if (user && (await Subscription.hasActiveAccess(user._id))) {
+    return { locked: false, reason: "subscription" };
+  }
+
+  const readerKey = getReaderKey({ user, deviceId });
+
+  if (!readerKey) {
+    return { locked: true, reason: "subscription_required" };
+  }
+
+  const { allowed, ...meter } = await consumeMeteredRead({
+    readerKey,
+    newsId: news._id,
+  });
+
+  return allowed
+    ? { locked: false, reason: "metered", meter }
+    : { locked: true, reason: "meter_exhausted", meter };
+};
+
+/**
+ * Shape an article for the response according to the resolved access.
+ */
+export const applyPaywall = (news, { locked }) => {
+  if (!locked) {
+    return { ...news, locked: false };
+  }
+
+  return { ...news, body: buildTeaser(news.body), locked: true };
+};
@@ -0,0 +1,320 @@
+import axios from "axios";
+import os from "os";
+import Category from "../models/Category.js";
+import PushNotification from "../models/PushNotification.js";
+import PushSubscription from "../models/PushSubscription.js";
+import {
+  SITE_URL,
+  WEB_PUSH_BATCH_SIZE,
+  WEB_PUSH_MAX_ATTEMPTS,
+  WEB_PUSH_SERVICE_URL,
+  WEB_PUSH_SUBJECT,
+  WEB_PUSH_TTL_SECONDS,
+  WEB_PUSH_VAPID_PRIVATE_KEY,
+  WEB_PUSH_VAPID_PUBLIC_KEY,
+} from "../config/config.js";
+import { acquireJobLock, runExclusiveJob } from "../utils/jobLock.js";
+import { logger } from "../utils/logger.js";
+import {
+  createVapidSigner,
+  encryptPushPayload,
+  isPushServiceUrl,
+} from "../utils/webPush.js";
+
+const log = logger.child({ job: "web-push" });
+
+const JOB_NAME = "web-push";
+// Renewed after every batch; a batch of slow, retried pushes can take minutes
+const LOCK_TTL_MS = 15 * 60 * 1000;
+const ownerId = `${os.hostname()}-${process.pid}`;
+/** Pushes in flight at once within a batch */
+const SEND_CONCURRENCY = 10;
+const RETRY_BASE_DELAY_MS = 1000;
+const RETRY_MAX_DELAY_MS = 30 * 1000;
+const PUSH_BODY_MAX_LENGTH = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const client = axios.create({
+  timeout: 10000,
+  maxRedirects: 0,
+  // Every status is an outcome to classify, not an exception
+  validateStatus: () => true,
+});
+
+export const isWebPushConfigured = () =>
+  Boolean(WEB_PUSH_VAPID_PUBLIC_KEY && WEB_PUSH_VAPID_PRIVATE_KEY);
+
+let signer;
+const authorize = (endpoint) => {
+  signer ??= createVapidSigner({
+    publicKey: WEB_PUSH_VAPID_PUBLIC_KEY,
+    privateKey: WEB_PUSH_VAPID_PRIVATE_KEY,
+    subject: WEB_PUSH_SUBJECT,
+  });
+
+  return signer(endpoint);
+};
+
+/** Where a push for `endpoint` is sent (see WEB_PUSH_SERVICE_URL) */
+const resolvePushUrl = (endpoint) => {
+  if (!WEB_PUSH_SERVICE_URL) return endpoint;
+
+  const { pathname, search } = new URL(endpoint);
+  return `${WEB_PUSH_SERVICE_URL}${pathname}${search}`;
+};
+
+/**
+ * Send one push. Throttling (429), push service errors (5xx) and network
+ * failures are retried with backoff, honouring Retry-After. Resolves to
+ * "sent", "expired" (404/410, unusable keys or an endpoint off the known
+ * push services: drop the subscription) or "failed".
+ */
+export const sendPush = async (subscription, payload) => {
+  // Saved before endpoints were checked against the known push services
+  if (
+    !WEB_PUSH_SERVICE_URL &&
+    !isPushServiceUrl(new URL(subscription.endpoint))
+  ) {
+    log.warn({ subscription: subscription._id }, "push_endpoint_rejected");
+    return "expired";
+  }
+
+  let body;
+
+  try {
+    body = encryptPushPayload(JSON.stringify(payload), subscription.keys);
+  } catch (error) {
+    log.warn(
+      { err: error, subscription: subscription._id },
+      "push_keys_invalid"
+    );
+    return "expired";
+  }
+
+  for (let attempt = 1; ; attempt += 1) {
+    let status = null;
+    let retryAfterSeconds = NaN;
+
+    try {
+      const response = await client.post(
+        resolvePushUrl(subscription.endpoint),
+        body,
+        {
+          headers: {
+            Authorization: authorize(subscription.endpoint),
+            "Content-Encoding": "aes128gcm",
+            "Content-Type": "application/octet-stream",
+            TTL: String(WEB_PUSH_TTL_SECONDS),
+            Urgency: "high",
+          },
+        }
+      );
+      status = response.status;
+      retryAfterSeconds = Number(response.headers["retry-after"]);
+    } catch (error) {
+      log.debug({ err: error, attempt }, "push_request_error");
+    }
+
+    if (status >= 200 && status < 300) return "sent";
+    if (status === 404 || status === 410) return "expired";
+
+    const retryable = status === null || status === 429 || status >= 500;
+
+    if (!retryable || attempt >= WEB_PUSH_MAX_ATTEMPTS) {
+      log.warn(
+        {
+          status,
+          attempt,
+          host: new URL(subscription.endpoint).host,
+        },
+        "push_send_failed"
+      );
+      return "failed";
+    }
+
+    const delay =
+      retryAfterSeconds > 0
+        ? retryAfterSeconds * 1000
+        : RETRY_BASE_DELAY_MS * 2 ** (attempt - 1);
+    await sleep(Math.min(delay, RETRY_MAX_DELAY_MS));
+  }
+};
+
+/** `worker(item)` for every item, at most `limit` at a time, in order */
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const run = async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, run)
+  );
+  return results;
+};
+
+/**
+ * Queue a breaking news push for the worker: subscribers of "breaking" and
+ * of the article's category. Never throws: the article is already marked.
+ */
+export const enqueueBreakingNewsPush = async (news) => {
+  if (!isWebPushConfigured()) return;
+
+  try {
+    const category = news.category
+      ? await Category.findById(news.category).select("slug").lean()
+      : null;
+    const body =
+      news.heading.length > PUSH_BODY_MAX_LENGTH
+        ? `${news.heading.slice(0, PUSH_BODY_MAX_LENGTH - 1)}…`
+        : news.heading;
+
+    await PushNotification.create({
+      news: news._id,
+      topics: ["breaking", category?.slug].filter(Boolean),
+      payload: {
+        type: "breaking",
+        title: "Breaking news",
+        body,
+        url: `${SITE_URL}/news/${encodeURIComponent(news.slug)}`,
+        // Lets the service worker replace rather than stack repeats
+        tag: `breaking-${news._id}`,
+        newsId: String(news._id),
+        slug: news.slug,
+      },
+    });
+  } catch (error) {
+    log.error({ err: error, news: news._id }, "push_enqueue_failed");
+  }
+};
+
+/**
+ * Send one queued push to its subscribers, batch by batch from where an
+ * earlier run stopped. Progress is saved after every batch.
+ */
+const fanOut = async (notification) => {
+  const totals = { sent: 0, failed: 0, pruned: 0 };
+  let { lastSubscriptionId } = notification;
+
+  for (;;) {
+    const subscriptions = await PushSubscription.find({
+      topics: { $in: notification.topics },
+      ...(lastSubscriptionId && { _id: { $gt: lastSubscriptionId } }),
+    })
+      .select("endpoint keys")
+      .sort({ _id: 1 })
+      .limit(WEB_PUSH_BATCH_SIZE)
+      .lean();
+
+    if (subscriptions.length === 0) break;
+
+    const results = await mapWithConcurrency(
+      subscriptions,
+      SEND_CONCURRENCY,
+      (subscription) => sendPush(subscription, notification.payload)
+    );
+    const idsWith = (result) =>
+      subscriptions
+        .filter((_, index) => results[index] === result)
+        .map(({ _id }) => _id);
+    const sent = idsWith("sent");
+    const failed = idsWith("failed");
+    const expired = idsWith("expired");
+
+    await Promise.all([
+      sent.length &&
+        PushSubscription.updateMany(
+          { _id: { $in: sent } },
+          { $set: { lastSentAt: new Date(), failureCount: 0 } }
+        ),
+      failed.length &&
+        PushSubscription.updateMany(
+          { _id: { $in: failed } },
+          { $inc: { failureCount: 1 } }
+        ),
+      expired.length && PushSubscription.deleteMany({ _id: { $in: expired } }),
+    ]);
+
+    lastSubscriptionId = subscriptions[subscriptions.length - 1]._id;
+    totals.sent += sent.length;
+    totals.failed += failed.length;
+    totals.pruned += expired.length;
+
+    await PushNotification.updateOne(
+      { _id: notification._id },
+      {
+        $set: { lastSubscriptionId },
+        $inc: {
+          sent: sent.length,
+          failed: failed.length,
+          pruned: expired.length,
+        },
+      }
+    );
+
+    // A large fan-out outlives the lock TTL: extend it, or stop if another
+    // worker has taken over
+    const stillLocked = await acquireJobLock({
+      jobName: JOB_NAME,
+      ownerId,
+      ttlMs: LOCK_TTL_MS,
+    });
+
+    if (!stillLocked) {
+      throw new Error("Web push job lock lost mid fan-out");
+    }
+
+    if (subscriptions.length < WEB_PUSH_BATCH_SIZE) break;
+  }
+
+  await PushNotification.updateOne(
+    { _id: notification._id },
+    { $set: { status: "done", completedAt: new Date() } }
+  );
+
+  log.info({ notification: notification._id, ...totals }, "push_fanned_out");
+  return totals;
+};
+
+/**
+ * Fan out queued pushes, oldest first. Runs in the worker.
+ */
+export const sendPendingPushNotifications = async () => {
+  if (!isWebPushConfigured()) {
+    return { skipped: true, reason: "not_configured", notifications: 0 };
+  }
+
+  try {
+    return await runExclusiveJob(
+      { jobName: JOB_NAME, ownerId, ttlMs: LOCK_TTL_MS, log },
+      async () => {
+        let notifications = 0;
+
+        for (;;) {
+          const notification = await PushNotification.findOne({
+            status: "pending",
+          })
+            .sort({ createdAt: 1 })
+            .lean();
+
+          if (!notification) break;
+
+          await fanOut(notification);
+          notifications += 1;
+        }
+
+        return { notifications };
+      }
+    );
+  } catch (error) {
+    log.error({ err: error }, "web_push_error");
+    return { skipped: false, error, notifications: 0 };
+  }
+};
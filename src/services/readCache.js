@@ -0,0 +1,314 @@
+import Counter from "../models/Counter.js";
+import {
+  READ_CACHE_DRIVER,
+  READ_CACHE_MAX_ENTRIES,
+  READ_CACHE_SYNC_INTERVAL_MS,
+  READ_CACHE_TTL_SECONDS,
+} from "../config/config.js";
+import { logger } from "../utils/logger.js";
+
+const log = logger.child({ component: "read-cache" });
+
+/** Counter ids are this plus the cache name */
+const VERSION_PREFIX = "read-cache:";
+
+/**
+ * Stores for the read cache. Every store exposes (sync or async):
+ *   name                     reported in the admin stats
+ *   get(key)                 cached value, or undefined
+ *   set(key, value, ttlMs)
+ *   delete(key)
+ *   deleteByPrefix(prefix)
+ *   size()                   entries currently held
+ *   perProcess               true if other processes cannot see its entries
+ * Add a shared store (e.g. Redis) to `drivers` and select it with
+ * READ_CACHE_DRIVER. For a per-process store, every invalidation also bumps
+ * the cache's version Counter; API processes poll those (startReadCacheSync)
+ * and drop the whole cache when another process changed it.
+ */
+const createMemoryStore = ({ maxEntries }) => {
+  // Map order is recency order: reads move a key to the end, the first key
+  // is the least recently used
+  const entries = new Map();
+
+  return {
+    name: "memory",
+    perProcess: true,
+
+    get(key) {
+      const entry = entries.get(key);
+
+      if (!entry) return undefined;
+
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      while (entries.size >= maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+
+    delete(key) {
+      entries.delete(key);
+    },
+
+    deleteByPrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+
+    size: () => entries.size,
+  };
+};
+
+const drivers = {
+  memory: () => createMemoryStore({ maxEntries: READ_CACHE_MAX_ENTRIES }),
+};
+
+let store;
+
+const getStore = () => {
+  if (!store) {
+    const createStore = drivers[READ_CACHE_DRIVER];
+
+    if (!createStore) {
+      throw new Error(`Unknown READ_CACHE_DRIVER: ${READ_CACHE_DRIVER}`);
+    }
+
+    store = createStore();
+  }
+
+  return store;
+};
+
+const caches = new Map();
+// Drops a cache's entries in this process only, by cache name
+const localDrops = new Map();
+// Last version of each cache this process has caught up with
+const seenVersions = new Map();
+
+/**
+ * Let the other processes know `name` changed. Never throws: their entries
+ * expire on their own.
+ */
+const publishInvalidation = async (name) => {
+  if (!getStore().perProcess) return;
+
+  try {
+    const { seq } = await Counter.findOneAndUpdate(
+      { _id: VERSION_PREFIX + name },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    ).lean();
+
+    // Only our own bump since the last sync: nothing more to drop here
+    if (seenVersions.get(name) === seq - 1) {
+      seenVersions.set(name, seq);
+    }
+  } catch (error) {
+    log.warn({ err: error, cache: name }, "read_cache_publish_failed");
+  }
+};
+
+/**
+ * A named read-through cache over the shared store. Cached values are shared
+ * between requests: copy before changing them. null and undefined are never
+ * cached.
+ */
+export const createReadCache = (
+  name,
+  { ttlMs = READ_CACHE_TTL_SECONDS * 1000 } = {}
+) => {
+  const prefix = `${name}:`;
+  const stats = { hits: 0, misses: 0, invalidations: 0 };
+  const loading = new Map();
+  // Bumped on every invalidation so a load that started before it is not
+  // stored afterwards
+  let generation = 0;
+
+  const dropLocal = async () => {
+    generation += 1;
+    loading.clear();
+    await getStore().deleteByPrefix(prefix);
+  };
+
+  const load = async (key, loader) => {
+    const startedAt = generation;
+    const value = await loader();
+
+    if (value != null && startedAt === generation) {
+      try {
+        await getStore().set(prefix + key, value, ttlMs);
+      } catch (error) {
+        log.warn({ err: error, cache: name }, "read_cache_set_failed");
+      }
+    }
+
+    return value;
+  };
+
+  const cache = {
+    name,
+
+    /**
+     * Cached value for `key`, or the result of `loader()` (stored for next
+     * time). Concurrent misses on one key share a single load.
+     */
+    async wrap(key, loader) {
+      if (ttlMs <= 0) {
+        return loader();
+      }
+
+      let cached;
+      try {
+        cached = await getStore().get(prefix + key);
+      } catch (error) {
+        log.warn({ err: error, cache: name }, "read_cache_get_failed");
+      }
+
+      if (cached !== undefined) {
+        stats.hits += 1;
+        return cached;
+      }
+
+      stats.misses += 1;
+
+      if (!loading.has(key)) {
+        const pending = load(key, loader).finally(() => {
+          if (loading.get(key) === pending) loading.delete(key);
+        });
+        loading.set(key, pending);
+      }
+
+      return loading.get(key);
+    },
+
+    /** Forget the given keys, here and (all keys) in other processes */
+    async invalidate(...keys) {
+      generation += 1;
+      stats.invalidations += 1;
+      keys.forEach((key) => loading.delete(key));
+      await Promise.all(keys.map((key) => getStore().delete(prefix + key)));
+      await publishInvalidation(name);
+    },
+
+    /** Forget every key of this cache, in every process */
+    async invalidateAll() {
+      stats.invalidations += 1;
+      await dropLocal();
+      await publishInvalidation(name);
+    },
+
+    getStats: () => {
+      const lookups = stats.hits + stats.misses;
+      return {
+        ...stats,
+        hitRate: lookups ? Number((stats.hits / lookups).toFixed(3)) : null,
+        ttlSeconds: ttlMs / 1000,
+      };
+    },
+  };
+
+  caches.set(name, cache);
+  localDrops.set(name, dropLocal);
+  return cache;
+};
+
+/** Drop every cache another process has invalidated since the last sync */
+const syncInvalidations = async () => {
+  const versions = await Counter.find({
+    _id: { $in: [...caches.keys()].map((name) => VERSION_PREFIX + name) },
+  }).lean();
+  const seqs = new Map(
+    versions.map(({ _id, seq }) => [_id.slice(VERSION_PREFIX.length), seq])
+  );
+
+  for (const name of caches.keys()) {
+    const seq = seqs.get(name) ?? 0;
+    const seen = seenVersions.get(name);
+
+    seenVersions.set(name, seq);
+
+    if (seen !== undefined && seen !== seq) {
+      await localDrops.get(name)();
+    }
+  }
+};
+
+let syncTimer = null;
+let isSyncing = false;
+
+/**
+ * Poll for invalidations made by other processes (the worker, other API
+ * instances) every READ_CACHE_SYNC_INTERVAL_MS. Run by API processes; not
+ * needed with a shared store.
+ */
+export const startReadCacheSync = () => {
+  if (syncTimer || !getStore().perProcess) return;
+
+  const sync = async () => {
+    if (isSyncing) return;
+    isSyncing = true;
+
+    try {
+      await syncInvalidations();
+    } catch (error) {
+      log.warn({ err: error }, "read_cache_sync_failed");
+    } finally {
+      isSyncing = false;
+    }
+  };
+
+  // The first run records the versions to compare against
+  sync();
+  syncTimer = setInterval(sync, READ_CACHE_SYNC_INTERVAL_MS);
+};
+
+export const stopReadCacheSync = () => {
+  clearInterval(syncTimer);
+  syncTimer = null;
+};
+
+/** Public listing pages, keyed by their query */
+export const newsListCache = createReadCache("news:list");
+/** Articles by slug, as loaded before access checks and localization */
+export const newsArticleCache = createReadCache("news:article");
+/** Video listing pages, keyed by their query */
+export const videoListCache = createReadCache("videos:list");
+
+/**
+ * Drop cached listings and the given article slugs after an article changes.
+ * A failing store is logged, not thrown: the write itself has succeeded and
+ * entries expire on their own.
+ */
+export const invalidateNewsCaches = async (...slugs) => {
+  try {
+    await Promise.all([
+      newsListCache.invalidateAll(),
+      newsArticleCache.invalidate(...slugs.filter(Boolean)),
+    ]);
+  } catch (error) {
+    log.error({ err: error, slugs }, "read_cache_invalidate_failed");
+  }
+};
+
+/**
+ * Hit/miss counters of every cache since this process started, plus the
+ * store's current size.
+ */
+export const getReadCacheStats = async () => ({
+  driver: getStore().name,
+  entries: await getStore().size(),
+  maxEntries: READ_CACHE_MAX_ENTRIES,
+  caches: Object.fromEntries(
+    [...caches.values()].map((cache) => [cache.name, cache.getStats()])
+  ),
+});
@@ -0,0 +1,189 @@
+import { News } from "../models/News.js";
+import { createReadCache } from "./readCache.js";
+
+const MAX_RELATED = 12;
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** A related story loses half its recency weight every two weeks */
+const RECENCY_HALF_LIFE_DAYS = 14;
+const TAXONOMY_CANDIDATES = 200;
+const TEXT_CANDIDATES = 50;
+const TEXT_WINDOW_DAYS = 365;
+const MAX_TEXT_TERMS = 20;
+
+// Words too common to say anything about what an article is about
+const STOP_WORDS = new Set([
+  "about",
+  "after",
+  "also",
+  "and",
+  "are",
+  "been",
+  "but",
+  "for",
+  "from",
+  "has",
+  "have",
+  "her",
+  "his",
+  "into",
+  "its",
+  "more",
+  "not",
+  "said",
+  "says",
+  "than",
+  "that",
+  "the",
+  "their",
+  "there",
+  "they",
+  "this",
+  "was",
+  "were",
+  "when",
+  "which",
+  "while",
+  "who",
+  "will",
+  "with",
+  "would",
+  "ഒരു",
+  "എന്ന",
+  "എന്നാൽ",
+  "ആണ്",
+  "കൂടാതെ",
+  "ചെയ്തു",
+  "പറഞ്ഞു",
+  "എന്നും",
+  "ഇത്",
+]);
+
+// Keyed by articleId:updatedAt. Editing an article changes its key, so stale
+// entries simply age out.
+const relatedCache = createReadCache("news:related", {
+  ttlMs: 15 * 60 * 1000,
+});
+
+const tokenize = (text) =>
+  (typeof text === "string" ? text.toLowerCase() : "").match(
+    /[\p{L}\p{M}\p{N}]+/gu
+  ) || [];
+
+const isUsefulTerm = (term) =>
+  term.length >= 3 && !STOP_WORDS.has(term) && !/^\d+$/.test(term);
+
+/**
+ * Heading words plus the body's most frequent words: what the $text query
+ * looks for in other articles.
+ */
+const buildTextQuery = (news) => {
+  const headingTerms = tokenize(news.heading).filter(isUsefulTerm);
+  const counts = new Map();
+
+  for (const term of tokenize(news.body)) {
+    if (isUsefulTerm(term)) {
+      counts.set(term, (counts.get(term) || 0) + 1);
+    }
+  }
+
+  const bodyTerms = [...counts]
+    .sort((a, b) => b[1] - a[1])
+    .map(([term]) => term);
+
+  return [...new Set([...headingTerms, ...bodyTerms])]
+    .slice(0, MAX_TEXT_TERMS)
+    .join(" ");
+};
+
+const computeRelatedIds = async (news) => {
+  const now = Date.now();
+  const tags = news.tags || [];
+  const categoryId = news.category?._id ?? news.category ?? null;
+  const taxonomy = [
+    ...(categoryId ? [{ category: categoryId }] : []),
+    ...(tags.length ? [{ tags: { $in: tags } }] : []),
+  ];
+  const textQuery = buildTextQuery(news);
+
+  const [byTaxonomy, byText] = await Promise.all([
+    taxonomy.length
+      ? News.find(
+          { status: "published", _id: { $ne: news._id }, $or: taxonomy },
+          "category tags publishedAt"
+        )
+          .sort({ publishedAt: -1 })
+          .limit(TAXONOMY_CANDIDATES)
+          .lean()
+      : [],
+    textQuery
+      ? News.find(
+          {
+            $text: { $search: textQuery },
+            status: "published",
+            _id: { $ne: news._id },
+            publishedAt: { $gte: new Date(now - TEXT_WINDOW_DAYS * DAY_MS) },
+          },
+          { publishedAt: 1, score: { $meta: "textScore" } }
+        )
+          .sort({ score: { $meta: "textScore" } })
+          .limit(TEXT_CANDIDATES)
+          .lean()
+      : [],
+  ]);
+
+  const candidates = new Map();
+  const candidate = (item) => {
+    const key = String(item._id);
+    if (!candidates.has(key)) {
+      candidates.set(key, {
+        _id: item._id,
+        publishedAt: item.publishedAt,
+        relevance: 0,
+      });
+    }
+    return candidates.get(key);
+  };
+
+  for (const item of byTaxonomy) {
+    const sharedTags = (item.tags || []).filter((tag) => tags.includes(tag));
+    const entry = candidate(item);
+
+    if (categoryId && String(item.category) === String(categoryId)) {
+      entry.relevance += 2;
+    }
+    entry.relevance += 3 * Math.min(sharedTags.length, 3);
+  }
+
+  const topTextScore = Math.max(0, ...byText.map(({ score }) => score));
+
+  for (const item of byText) {
+    candidate(item).relevance += topTextScore
+      ? (4 * item.score) / topTextScore
+      : 0;
+  }
+
+  // Relevance decides, recency breaks near-ties: an old story keeps a quarter
+  // of its weight however old it is.
+  return [...candidates.values()]
+    .map((entry) => {
+      const ageDays =
+        Math.max(0, now - new Date(entry.publishedAt).getTime()) / DAY_MS;
+      const recency = 0.25 + 0.75 * 0.5 ** (ageDays / RECENCY_HALF_LIFE_DAYS);
+      return { _id: entry._id, score: entry.relevance * recency };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_RELATED)
+    .map(({ _id }) => _id);
+};
+
+/**
+ * Ids of articles related to `news`, best first. Computed from shared
+ * category and tags plus full-text similarity, then cached per article
+ * version so article page loads do not repeat the work.
+ */
+export const getRelatedNewsIds = (news) =>
+  relatedCache.wrap(
+    `${news._id}:${new Date(news.updatedAt ?? 0).getTime()}`,
+    () => computeRelatedIds(news)
+  );
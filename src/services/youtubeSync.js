@@ -6,6 +6,8 @@ import {
   YOUTUBE_SYNC_LOCK_TTL_MS,
   YOUTUBE_SYNC_MAX_PAGES,
 } from "../config/config.js";
+import { videoListCache } from "./readCache.js";
+import { publishVideoEvent } from "./eventStream.js";
 import { acquireJobLock, releaseJobLock } from "../utils/jobLock.js";
 import { logger } from "../utils/logger.js";
 
@@ -83,8 +85,16 @@ export const syncYouTubeVideos = async ({ throwOnError = false } = {}) => {
 
       // ✅ BULK WRITE (much faster)
       if (ops.length > 0) {
-        await YoutubeVideo.bulkWrite(ops, { ordered: false });
+        const { upsertedIds = {} } = await YoutubeVideo.bulkWrite(ops, {
+          ordered: false,
+        });
+        await videoListCache.invalidateAll();
         count += ops.length;
+
+        // Only videos seen for the first time are announced
+        for (const index of Object.keys(upsertedIds)) {
+          await publishVideoEvent(ops[index].updateOne.update.$set);
+        }
       }
 
       if (!data.nextPageToken) break;
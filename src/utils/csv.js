@@ -0,0 +1,74 @@
+/**
+ * Quote a CSV field when it holds a separator, quote or line break (RFC 4180).
+ */
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** One CSV line, CRLF-terminated */
+export const toCsvRow = (values) =>
+  `${values.map(escapeCsvField).join(",")}\r\n`;
+
+/**
+ * Parse CSV text into rows of string fields. Quoted fields may contain
+ * commas, doubled quotes and line breaks. Each row carries the 1-based line
+ * it starts on as `line`, for error reports. Throws on an unclosed quote.
+ */
+export const parseCsv = (text) => {
+  const source = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  const endRow = () => {
+    row.push(field);
+    // Blank lines are not rows
+    if (row.length > 1 || row[0] !== "") {
+      rows.push(Object.assign(row, { line: rowLine }));
+    }
+    row = [];
+    field = "";
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === "\n") line += 1;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i += 1;
+      endRow();
+      line += 1;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unclosed quote in CSV row starting on line ${rowLine}`);
+  }
+
+  if (field !== "" || row.length) {
+    endRow();
+  }
+
+  return rows;
+};
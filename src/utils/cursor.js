@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+import { ApiError } from "./ApiError.js";
+
+/**
+ * Opaque keyset cursor over (sortField desc, _id desc).
+ * Encodes the last item's sort value and id as base64url JSON. A missing
+ * sort value is encoded as null: such items sort last in desc order.
+ */
+export const encodeCursor = (item, field) => {
+  if (!item) return null;
+
+  const value = item[field];
+
+  return Buffer.from(
+    JSON.stringify({
+      v: value instanceof Date ? value.toISOString() : value ?? null,
+      id: String(item._id),
+    })
+  ).toString("base64url");
+};
+
+export const decodeCursor = (cursor) => {
+  try {
+    const { v, id } = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    const value = v === null ? null : new Date(v);
+
+    if (
+      (v !== null &&
+        (typeof v !== "string" || Number.isNaN(value.getTime()))) ||
+      !mongoose.Types.ObjectId.isValid(id)
+    ) {
+      throw new Error("Malformed cursor");
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch {
+    throw new ApiError(400, "Invalid cursor");
+  }
+};
+
+/**
+ * Filter selecting items strictly after the cursor in (field desc, _id desc) order.
+ * Items without the field come after every dated one; `null` also matches
+ * a missing field.
+ */
+export const buildCursorFilter = (field, { value, id }) =>
+  value === null
+    ? { [field]: null, _id: { $lt: id } }
+    : {
+        $or: [
+          { [field]: { $lt: value } },
+          { [field]: value, _id: { $lt: id } },
+          { [field]: null },
+        ],
+      };
@@ -0,0 +1,26 @@
+import { ApiError } from "./ApiError.js";
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse a ?from= / ?to= style date ("2024-05-01" or a full ISO timestamp).
+ * Empty means no bound (null). With `endOfDay`, a bare date as the upper
+ * bound covers that whole day, so compare with $lt.
+ */
+export const parseDateParam = (value, field, { endOfDay = false } = {}) => {
+  if (value === undefined || value === "") {
+    return null;
+  }
+
+  const date = typeof value === "string" ? new Date(value) : null;
+
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ApiError(400, `${field} must be a valid date`);
+  }
+
+  if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+
+  return date;
+};
@@ -0,0 +1,78 @@
+import crypto from "crypto";
+
+/**
+ * Weak ETag from arbitrary parts (ids, timestamps, counts).
+ */
+export const buildEtag = (...parts) =>
+  `W/"${crypto
+    .createHash("sha1")
+    .update(parts.map((part) => String(part ?? "")).join("|"))
+    .digest("base64url")}"`;
+
+/**
+ * Latest of the given dates, or null.
+ */
+export const latestDate = (dates) =>
+  dates.reduce((latest, date) => {
+    if (!date) return latest;
+    const value = new Date(date);
+    return !latest || value > latest ? value : latest;
+  }, null);
+
+/**
+ * Set validators and Cache-Control, then report whether the client's copy is
+ * still fresh (If-None-Match / If-Modified-Since) so the caller can send 304.
+ */
+export const applyCacheValidators = (
+  req,
+  res,
+  { etag, lastModified, cacheControl }
+) => {
+  if (etag) {
+    res.set("ETag", etag);
+  }
+
+  if (lastModified) {
+    res.set("Last-Modified", new Date(lastModified).toUTCString());
+  }
+
+  if (cacheControl) {
+    res.set("Cache-Control", cacheControl);
+  }
+
+  return req.fresh;
+};
+
+/**
+ * Validators for a list response, then 304 when the client's copy is still
+ * current. The ETag covers every item's id and updatedAt, so an item leaving
+ * the list changes it even when the count and newest item stay the same;
+ * `variant` adds whatever else shapes the body. Pass `lastModified: false`
+ * when the body also depends on something the dates do not track (e.g. the
+ * reader's access): If-Modified-Since alone must not earn a 304 then.
+ * Returns true when the response has been sent.
+ */
+export const sendNotModifiedIfFresh = (
+  req,
+  res,
+  items,
+  { variant = [], cacheControl, lastModified = true }
+) => {
+  const isFresh = applyCacheValidators(req, res, {
+    etag: buildEtag(
+      ...variant,
+      ...items.map(
+        (item) => `${item._id}:${new Date(item.updatedAt ?? 0).getTime()}`
+      )
+    ),
+    lastModified:
+      lastModified && latestDate(items.map((item) => item.updatedAt)),
+    cacheControl,
+  });
+
+  if (isFresh) {
+    res.status(304).end();
+  }
+
+  return isFresh;
+};
@@ -0,0 +1,137 @@
+/**
+ * Identify an image from its bytes (never trust the client's Content-Type)
+ * and read its pixel dimensions from the header. Supports JPEG, PNG, GIF
+ * and WebP; returns null for anything else or a truncated header.
+ */
+
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+const readJpegSize = (buffer) => {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes and markers without a length segment
+    if (marker === 0xff) {
+      offset += 1;
+      continue;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return {
+        height: buffer.readUInt16BE(offset + 5),
+        width: buffer.readUInt16BE(offset + 7),
+      };
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return null;
+};
+
+const readWebpSize = (buffer) => {
+  const chunk = buffer.toString("ascii", 12, 16);
+
+  if (chunk === "VP8 " && buffer.length >= 30) {
+    return {
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+
+  if (chunk === "VP8L" && buffer.length >= 25) {
+    const [b0, b1, b2, b3] = buffer.subarray(21, 25);
+    return {
+      width: 1 + (((b1 & 0x3f) << 8) | b0),
+      height: 1 + (((b3 & 0x0f) << 10) | (b2 << 2) | ((b1 & 0xc0) >> 6)),
+    };
+  }
+
+  if (chunk === "VP8X" && buffer.length >= 30) {
+    return {
+      width: 1 + buffer.readUIntLE(24, 3),
+      height: 1 + buffer.readUIntLE(27, 3),
+    };
+  }
+
+  return null;
+};
+
+const FORMATS = [
+  {
+    mimeType: "image/jpeg",
+    extension: "jpg",
+    matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+    readSize: readJpegSize,
+  },
+  {
+    mimeType: "image/png",
+    extension: "png",
+    matches: (b) =>
+      b.subarray(0, 8).equals(
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])
+      ),
+    readSize: (b) =>
+      b.length >= 24
+        ? { width: b.readUInt32BE(16), height: b.readUInt32BE(20) }
+        : null,
+  },
+  {
+    mimeType: "image/gif",
+    extension: "gif",
+    matches: (b) => /^GIF8[79]a$/.test(b.toString("ascii", 0, 6)),
+    readSize: (b) =>
+      b.length >= 10
+        ? { width: b.readUInt16LE(6), height: b.readUInt16LE(8) }
+        : null,
+  },
+  {
+    mimeType: "image/webp",
+    extension: "webp",
+    matches: (b) =>
+      b.toString("ascii", 0, 4) === "RIFF" &&
+      b.toString("ascii", 8, 12) === "WEBP",
+    readSize: readWebpSize,
+  },
+];
+
+export const getImageInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) {
+    return null;
+  }
+
+  const format = FORMATS.find(({ matches }) => matches(buffer));
+
+  if (!format) {
+    return null;
+  }
+
+  let size;
+  try {
+    size = format.readSize(buffer);
+  } catch {
+    // RangeError from a header that claims more bytes than were sent
+    return null;
+  }
+
+  if (!size || !size.width || !size.height) {
+    return null;
+  }
+
+  return {
+    mimeType: format.mimeType,
+    extension: format.extension,
+    width: size.width,
+    height: size.height,
+  };
+};
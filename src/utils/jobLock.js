@@ -45,3 +45,38 @@ export const acquireJobLock = async ({
 export const releaseJobLock = async ({ jobName, ownerId }) => {
   await JobLock.deleteOne({ jobName, ownerId });
 };
+
+const runningJobs = new Set();
+
+/**
+ * Run `task` while holding the named job lock. Skips when this process is
+ * already running the job or another instance holds the lock; task errors
+ * propagate after the lock is released.
+ */
+export const runExclusiveJob = async ({ jobName, ownerId, ttlMs, log }, task) => {
+  if (runningJobs.has(jobName)) {
+    log?.warn({ jobName }, "job_already_running_skip");
+    return { skipped: true, reason: "already_running" };
+  }
+
+  runningJobs.add(jobName);
+  let lockAcquired = false;
+
+  try {
+    lockAcquired = await acquireJobLock({ jobName, ownerId, ttlMs });
+
+    if (!lockAcquired) {
+      log?.debug({ jobName }, "job_lock_held_skip");
+      return { skipped: true, reason: "lock_held" };
+    }
+
+    return { skipped: false, ...(await task()) };
+  } finally {
+    if (lockAcquired) {
+      await releaseJobLock({ jobName, ownerId }).catch((error) => {
+        log?.error({ err: error, jobName }, "job_lock_release_failed");
+      });
+    }
+    runningJobs.delete(jobName);
+  }
+};
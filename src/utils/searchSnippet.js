@@ -0,0 +1,54 @@
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Split a search query into the terms used for highlighting.
+ * Unicode-aware so Malayalam words survive intact.
+ */
+export const getSearchTerms = (query) =>
+  [...new Set(query.toLowerCase().match(/[\p{L}\p{M}\p{N}]+/gu) || [])];
+
+/**
+ * Extract a window of `text` around the first matching term and wrap every
+ * match in <mark>. The rest of the text is HTML-escaped.
+ */
+export const buildSearchSnippet = (text, terms, length = 160) => {
+  if (typeof text !== "string" || !text) {
+    return "";
+  }
+
+  // Match at word starts only, so suffixed forms (common in Malayalam) still hit
+  const pattern = terms.length
+    ? new RegExp(
+        `(?<![\\p{L}\\p{M}\\p{N}])(${terms.map(escapeRegExp).join("|")})`,
+        "giu"
+      )
+    : null;
+  const firstMatch = pattern ? text.search(pattern) : -1;
+
+  let start = Math.max(0, (firstMatch === -1 ? 0 : firstMatch) - length / 4);
+  const spaceBefore = text.lastIndexOf(" ", start);
+  if (start > 0 && spaceBefore !== -1) {
+    start = spaceBefore + 1;
+  }
+
+  const end = Math.min(text.length, start + length);
+  const window = text.slice(start, end);
+
+  const highlighted = pattern
+    ? window
+        .split(pattern)
+        .map((part, index) =>
+          index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+        )
+        .join("")
+    : escapeHtml(window);
+
+  return `${start > 0 ? "…" : ""}${highlighted}${end < text.length ? "…" : ""}`;
+};
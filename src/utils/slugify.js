@@ -0,0 +1,14 @@
+import { transliterateMalayalam } from "./transliterate.js";
+
+/**
+ * Lowercase, ASCII-only, hyphen-separated slug. Malayalam is romanised first.
+ */
+export const slugify = (value, maxLength = 80) =>
+  transliterateMalayalam(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, maxLength)
+    .replace(/-+$/g, "");
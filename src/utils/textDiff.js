@@ -0,0 +1,80 @@
+// Upper bound on the LCS table (tokens × tokens) before falling back to a
+// coarser diff, so a huge article cannot pin the event loop.
+const MAX_DIFF_CELLS = 2_000_000;
+
+const tokenizeWords = (text) => text.split(/(\s+)/).filter(Boolean);
+const tokenizeLines = (text) => text.split(/(?<=\n)/);
+
+const pushOp = (ops, op, text) => {
+  const last = ops[ops.length - 1];
+  if (last && last.op === op) {
+    last.text += text;
+  } else {
+    ops.push({ op, text });
+  }
+};
+
+const diffTokens = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i -= 1) {
+    for (let j = m - 1; j >= 0; j -= 1) {
+      table[i][j] =
+        a[i] === b[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      pushOp(ops, "equal", a[i]);
+      i += 1;
+      j += 1;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      pushOp(ops, "delete", a[i]);
+      i += 1;
+    } else {
+      pushOp(ops, "insert", b[j]);
+      j += 1;
+    }
+  }
+
+  for (; i < n; i += 1) pushOp(ops, "delete", a[i]);
+  for (; j < m; j += 1) pushOp(ops, "insert", b[j]);
+
+  return ops;
+};
+
+/**
+ * Word-level diff of two strings as [{ op: "equal" | "insert" | "delete", text }].
+ * Degrades to a line diff, then a whole replacement, for very large inputs.
+ */
+export const diffText = (before = "", after = "") => {
+  const from = before ?? "";
+  const to = after ?? "";
+
+  if (from === to) {
+    return from ? [{ op: "equal", text: from }] : [];
+  }
+
+  for (const tokenize of [tokenizeWords, tokenizeLines]) {
+    const a = tokenize(from);
+    const b = tokenize(to);
+
+    if ((a.length + 1) * (b.length + 1) <= MAX_DIFF_CELLS) {
+      return diffTokens(a, b);
+    }
+  }
+
+  const ops = [];
+  if (from) ops.push({ op: "delete", text: from });
+  if (to) ops.push({ op: "insert", text: to });
+  return ops;
+};
@@ -0,0 +1,149 @@
+// Simplified Malayalam → Latin romanisation (Mozhi-style, ASCII only), good
+// enough for readable URL slugs rather than scholarly transliteration.
+
+const VOWELS = {
+  "അ": "a",
+  "ആ": "aa",
+  "ഇ": "i",
+  "ഈ": "ee",
+  "ഉ": "u",
+  "ഊ": "oo",
+  "ഋ": "ru",
+  "ഌ": "lu",
+  "എ": "e",
+  "ഏ": "e",
+  "ഐ": "ai",
+  "ഒ": "o",
+  "ഓ": "o",
+  "ഔ": "au",
+};
+
+const CONSONANTS = {
+  "ക": "k",
+  "ഖ": "kh",
+  "ഗ": "g",
+  "ഘ": "gh",
+  "ങ": "ng",
+  "ച": "ch",
+  "ഛ": "chh",
+  "ജ": "j",
+  "ഝ": "jh",
+  "ഞ": "nj",
+  "ട": "t",
+  "ഠ": "th",
+  "ഡ": "d",
+  "ഢ": "dh",
+  "ണ": "n",
+  "ത": "th",
+  "ഥ": "th",
+  "ദ": "d",
+  "ധ": "dh",
+  "ന": "n",
+  "പ": "p",
+  "ഫ": "ph",
+  "ബ": "b",
+  "ഭ": "bh",
+  "മ": "m",
+  "യ": "y",
+  "ര": "r",
+  "റ": "r",
+  "ല": "l",
+  "ള": "l",
+  "ഴ": "zh",
+  "വ": "v",
+  "ശ": "sh",
+  "ഷ": "sh",
+  "സ": "s",
+  "ഹ": "h",
+  "ഺ": "tt",
+};
+
+// Conjuncts whose pronunciation differs from their parts
+const CLUSTERS = {
+  "ന്റ": "nt",
+  "റ്റ": "tt",
+};
+
+const VOWEL_SIGNS = {
+  "ാ": "aa",
+  "ി": "i",
+  "ീ": "ee",
+  "ു": "u",
+  "ൂ": "oo",
+  "ൃ": "ru",
+  "െ": "e",
+  "േ": "e",
+  "ൈ": "ai",
+  "ൊ": "o",
+  "ോ": "o",
+  "ൌ": "au",
+  "ൗ": "au",
+};
+
+const OTHERS = {
+  "ം": "m",
+  "ഃ": "h",
+  "ൺ": "n",
+  "ൻ": "n",
+  "ർ": "r",
+  "ൽ": "l",
+  "ൾ": "l",
+  "ൿ": "k",
+};
+
+const VIRAMA = "്";
+const JOINERS = new Set(["\u200c", "\u200d"]); // ZWNJ, ZWJ
+const MALAYALAM_DIGIT_ZERO = 0x0d66;
+
+/**
+ * Romanise Malayalam text; characters from other scripts pass through.
+ */
+export const transliterateMalayalam = (text) => {
+  const chars = [...String(text ?? "")];
+  let out = "";
+  let i = 0;
+
+  while (i < chars.length) {
+    const char = chars[i];
+    const cluster = chars.slice(i, i + 3).join("");
+    let consonant = null;
+
+    if (CLUSTERS[cluster]) {
+      consonant = CLUSTERS[cluster];
+      i += 3;
+    } else if (CONSONANTS[char]) {
+      consonant = CONSONANTS[char];
+      i += 1;
+    }
+
+    if (consonant !== null) {
+      out += consonant;
+
+      while (JOINERS.has(chars[i])) i += 1;
+
+      if (VOWEL_SIGNS[chars[i]]) {
+        out += VOWEL_SIGNS[chars[i]];
+        i += 1;
+      } else if (chars[i] === VIRAMA) {
+        i += 1;
+      } else {
+        out += "a"; // inherent vowel
+      }
+      continue;
+    }
+
+    const code = char.codePointAt(0);
+
+    if (code >= MALAYALAM_DIGIT_ZERO && code <= MALAYALAM_DIGIT_ZERO + 9) {
+      out += String(code - MALAYALAM_DIGIT_ZERO);
+    } else if (VOWELS[char] || OTHERS[char] || VOWEL_SIGNS[char]) {
+      out += VOWELS[char] || OTHERS[char] || VOWEL_SIGNS[char];
+    } else if (char !== VIRAMA && !JOINERS.has(char)) {
+      out += char;
+    }
+
+    i += 1;
+  }
+
+  return out;
+};
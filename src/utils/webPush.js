@@ -0,0 +1,167 @@
+import crypto from "node:crypto";
+
+/**
+ * Web Push without a library: VAPID authorization (RFC 8292) and aes128gcm
+ * payload encryption (RFC 8291, RFC 8188). Keys are base64url, as browsers
+ * hand them out in PushSubscription.toJSON().
+ */
+
+const RECORD_SIZE = 4096;
+/** VAPID tokens are reused for this long per push service origin */
+const VAPID_TOKEN_TTL_SECONDS = 12 * 60 * 60;
+
+/**
+ * Browser push services (FCM for Chrome and Edge, Mozilla, Apple, Windows
+ * WNS): subscription endpoints live on one of these hosts or a subdomain.
+ */
+const PUSH_SERVICE_HOSTS = [
+  "fcm.googleapis.com",
+  "push.services.mozilla.com",
+  "push.apple.com",
+  "notify.windows.com",
+];
+
+const fromBase64Url = (value) => Buffer.from(String(value), "base64url");
+
+const hkdf = (ikm, salt, info, length) =>
+  Buffer.from(crypto.hkdfSync("sha256", ikm, salt, info, length));
+
+/** True for a plain https URL (a URL object) on a known push service */
+export const isPushServiceUrl = (url) =>
+  url.protocol === "https:" &&
+  url.port === "" &&
+  url.username === "" &&
+  url.password === "" &&
+  PUSH_SERVICE_HOSTS.some(
+    (host) => url.hostname === host || url.hostname.endsWith(`.${host}`)
+  );
+
+/** A new VAPID key pair: { publicKey, privateKey }, base64url */
+export const generateVapidKeys = () => {
+  const ecdh = crypto.createECDH("prime256v1");
+  ecdh.generateKeys();
+
+  return {
+    publicKey: ecdh.getPublicKey().toString("base64url"),
+    privateKey: ecdh.getPrivateKey().toString("base64url"),
+  };
+};
+
+/** A P-256 public key in uncompressed form (65 bytes), or null */
+export const decodePublicKey = (value) => {
+  const key = fromBase64Url(value);
+  return key.length === 65 && key[0] === 0x04 ? key : null;
+};
+
+const toSigningKey = (publicKey, privateKey) => {
+  const pub = decodePublicKey(publicKey);
+
+  if (!pub) {
+    throw new Error("VAPID public key must be an uncompressed P-256 key");
+  }
+
+  return crypto.createPrivateKey({
+    key: {
+      kty: "EC",
+      crv: "P-256",
+      d: privateKey,
+      x: pub.subarray(1, 33).toString("base64url"),
+      y: pub.subarray(33).toString("base64url"),
+    },
+    format: "jwk",
+  });
+};
+
+/**
+ * Signs VAPID Authorization headers with one key pair. Tokens are cached per
+ * audience (push service origin) until they are close to expiring.
+ */
+export const createVapidSigner = ({ publicKey, privateKey, subject }) => {
+  const key = toSigningKey(publicKey, privateKey);
+  const tokens = new Map();
+
+  const sign = (audience) => {
+    const expiresAt = Math.floor(Date.now() / 1000) + VAPID_TOKEN_TTL_SECONDS;
+    const header = Buffer.from(
+      JSON.stringify({ typ: "JWT", alg: "ES256" })
+    ).toString("base64url");
+    const claims = Buffer.from(
+      JSON.stringify({ aud: audience, exp: expiresAt, sub: subject })
+    ).toString("base64url");
+    const signature = crypto
+      .sign("sha256", Buffer.from(`${header}.${claims}`), {
+        key,
+        dsaEncoding: "ieee-p1363",
+      })
+      .toString("base64url");
+
+    return { token: `${header}.${claims}.${signature}`, expiresAt };
+  };
+
+  /** Authorization header value for a push to `endpoint` */
+  return (endpoint) => {
+    const audience = new URL(endpoint).origin;
+    let cached = tokens.get(audience);
+
+    // Renew an hour before expiry so a slow fan-out never sends a stale one
+    if (!cached || cached.expiresAt - 60 * 60 < Date.now() / 1000) {
+      cached = sign(audience);
+      tokens.set(audience, cached);
+    }
+
+    return `vapid t=${cached.token}, k=${publicKey}`;
+  };
+};
+
+/**
+ * Encrypt `payload` for one subscription ({ p256dh, auth } from its keys).
+ * Returns the request body for a `Content-Encoding: aes128gcm` push.
+ */
+export const encryptPushPayload = (payload, { p256dh, auth }) => {
+  const receiverKey = decodePublicKey(p256dh);
+  const authSecret = fromBase64Url(auth);
+
+  if (!receiverKey || authSecret.length !== 16) {
+    throw new Error("Invalid push subscription keys");
+  }
+
+  const ecdh = crypto.createECDH("prime256v1");
+  const senderKey = ecdh.generateKeys();
+  const sharedSecret = ecdh.computeSecret(receiverKey);
+  const salt = crypto.randomBytes(16);
+
+  const ikm = hkdf(
+    sharedSecret,
+    authSecret,
+    Buffer.concat([Buffer.from("WebPush: info\0"), receiverKey, senderKey]),
+    32
+  );
+  const contentKey = hkdf(
+    ikm,
+    salt,
+    Buffer.from("Content-Encoding: aes128gcm\0"),
+    16
+  );
+  const nonce = hkdf(ikm, salt, Buffer.from("Content-Encoding: nonce\0"), 12);
+
+  // One record: the payload followed by the last-record delimiter
+  const plaintext = Buffer.concat([Buffer.from(payload), Buffer.from([2])]);
+
+  if (plaintext.length + 16 > RECORD_SIZE) {
+    throw new Error("Push payload is too large");
+  }
+
+  const cipher = crypto.createCipheriv("aes-128-gcm", contentKey, nonce);
+  const ciphertext = Buffer.concat([
+    cipher.update(plaintext),
+    cipher.final(),
+    cipher.getAuthTag(),
+  ]);
+
+  const header = Buffer.alloc(21);
+  salt.copy(header, 0);
+  header.writeUInt32BE(RECORD_SIZE, 16);
+  header.writeUInt8(senderKey.length, 20);
+
+  return Buffer.concat([header, senderKey, ciphertext]);
+};
@@ -0,0 +1,47 @@
+const JOINERS_PATTERN = /[\u200c\u200d]/g;
+const MALAYALAM_PATTERN = /[\u0d00-\u0d7f]/;
+const TOKEN_PATTERN = /[\p{L}\p{M}\p{N}]+/gu;
+const MALAYALAM_VIRAMA = "\u0d4d";
+
+const normalize = (text) =>
+  text.normalize("NFC").replace(JOINERS_PATTERN, "").toLowerCase();
+
+/**
+ * Build a matcher that returns the blocked words found in a text.
+ *
+ * Latin-script words must match a whole word. Malayalam words match as
+ * stems (without a final virama), because suffixes attach directly to the
+ * word: "മൈര്" also catches "മൈരൻ".
+ */
+export const createWordFilter = (words) => {
+  const exact = new Set();
+  const stems = [];
+
+  for (const word of words) {
+    const normalized = normalize(String(word).trim());
+
+    if (!normalized) continue;
+
+    if (MALAYALAM_PATTERN.test(normalized)) {
+      stems.push(
+        normalized.endsWith(MALAYALAM_VIRAMA)
+          ? normalized.slice(0, -1)
+          : normalized
+      );
+    } else {
+      exact.add(normalized);
+    }
+  }
+
+  return (text) => {
+    const found = new Set();
+
+    for (const token of normalize(text).match(TOKEN_PATTERN) || []) {
+      if (exact.has(token) || stems.some((stem) => token.startsWith(stem))) {
+        found.add(token);
+      }
+    }
+
+    return [...found];
+  };
+};
@@ -0,0 +1,98 @@
+import { decodeXmlEntities } from "./xml.js";
+
+// Entities WordPress commonly leaves in post HTML
+const HTML_ENTITIES = {
+  nbsp: " ",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+};
+
+const ITEM_PATTERN = /<item\b[^>]*>([\s\S]*?)<\/item>/g;
+const CDATA_PATTERN = /<!\[CDATA\[([\s\S]*?)\]\]>/g;
+const CATEGORY_PATTERN = /<category\b([^>]*)>([\s\S]*?)<\/category>/g;
+const BLOCK_END_PATTERN =
+  /<\/(?:p|div|h[1-6]|blockquote|figure|figcaption|pre|ul|ol|table|tr)>/gi;
+
+/** Text content of a raw XML fragment: CDATA is literal, the rest decoded */
+const readText = (raw) => {
+  let text = "";
+  let last = 0;
+
+  for (const match of raw.matchAll(CDATA_PATTERN)) {
+    text += decodeXmlEntities(raw.slice(last, match.index)) + match[1];
+    last = match.index + match[0].length;
+  }
+
+  return (text + decodeXmlEntities(raw.slice(last))).trim();
+};
+
+const readAttribute = (attributes, name) => {
+  const match = attributes.match(new RegExp(`\\b${name}="([^"]*)"`));
+  return match ? decodeXmlEntities(match[1]) : "";
+};
+
+/** Text of the first `<name>` child, or "" when absent or self-closing */
+const readChild = (xml, name) => {
+  const match = xml.match(
+    new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`)
+  );
+  return match ? readText(match[1]) : "";
+};
+
+/**
+ * Post HTML to the plain text articles are stored as: paragraphs become
+ * blank-line separated, tags and block comments are dropped.
+ */
+export const htmlToText = (html) =>
+  decodeXmlEntities(
+    String(html ?? "")
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, "")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/li>/gi, "\n")
+      .replace(BLOCK_END_PATTERN, "\n\n")
+      .replace(/<[^>]+>/g, ""),
+    HTML_ENTITIES
+  )
+    .split("\n")
+    .map((line) => line.replace(/[ \t\u00a0]+/g, " ").trim())
+    .join("\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+/**
+ * The `<item>`s of a WordPress export (WXR) file with the fields an import
+ * needs. Dates are WordPress GMT strings ("2019-05-04 10:22:11"; all zeros
+ * when unset); content is still HTML.
+ */
+export const parseWxrItems = (xml) =>
+  [...String(xml).matchAll(ITEM_PATTERN)].map(([, item]) => {
+    const categories = [...item.matchAll(CATEGORY_PATTERN)].map(
+      ([, attributes, name]) => ({
+        domain: readAttribute(attributes, "domain"),
+        nicename: readAttribute(attributes, "nicename"),
+        name: readText(name),
+      })
+    );
+
+    return {
+      title: readChild(item, "title"),
+      content: readChild(item, "content:encoded"),
+      postName: readChild(item, "wp:post_name"),
+      postType: readChild(item, "wp:post_type"),
+      status: readChild(item, "wp:status"),
+      dateGmt: readChild(item, "wp:post_date_gmt"),
+      categories: categories.filter(({ domain }) => domain === "category"),
+      tags: categories.filter(({ domain }) => domain === "post_tag"),
+    };
+  });
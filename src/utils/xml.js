@@ -0,0 +1,59 @@
+const XML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+// Characters XML 1.0 does not allow anywhere, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+export const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(INVALID_XML_CHARS, "")
+    .replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+
+/**
+ * Render `<name attr="…">text</name>`; skipped entirely when text is empty.
+ * Pass `raw: true` when `content` is already-rendered XML.
+ */
+export const xmlElement = (name, content, attributes = {}, { raw = false } = {}) => {
+  const attrs = Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXml(value)}"`)
+    .join("");
+
+  if (content === undefined || content === null || content === "") {
+    return Object.keys(attributes).length ? `<${name}${attrs}/>` : "";
+  }
+
+  return `<${name}${attrs}>${raw ? content : escapeXml(content)}</${name}>`;
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+/**
+ * Decode character references: numeric ones, XML's five named ones and any
+ * extra names given (e.g. HTML's &nbsp;). Unknown names are left as they are.
+ */
+export const decodeXmlEntities = (value, extraEntities = {}) =>
+  String(value ?? "").replace(
+    /&(#x[0-9a-f]+|#[0-9]+|[a-z][a-z0-9]*);/gi,
+    (match, ref) => {
+      if (ref[0] !== "#") {
+        return XML_ENTITIES[ref] ?? extraEntities[ref] ?? match;
+      }
+
+      const codePoint =
+        ref[1] === "x" || ref[1] === "X"
+          ? parseInt(ref.slice(2), 16)
+          : parseInt(ref.slice(1), 10);
+
+      return codePoint > 0 && codePoint <= 0x10ffff
+        ? String.fromCodePoint(codePoint)
+        : match;
+    }
+  );
+
+export const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
@@ -2,9 +2,17 @@ import cron from "node-cron";
 import mongoose from "mongoose";
 import connectDB from "./db/database.js";
 import { syncYouTubeVideos } from "./services/youtubeSync.js";
+import { publishScheduledNews } from "./services/newsPublisher.js";
+import { expireBreakingNews } from "./services/breakingNews.js";
+import { purgeExpiredTrash } from "./services/newsTrash.js";
+import { sendPendingPushNotifications } from "./services/pushNotifications.js";
 import {
+  BREAKING_NEWS_EXPIRY_CRON_SCHEDULE,
+  NEWS_PUBLISH_CRON_SCHEDULE,
+  NEWS_TRASH_PURGE_CRON_SCHEDULE,
   STARTUP_DB_RETRY_ATTEMPTS,
   STARTUP_DB_RETRY_DELAY_MS,
+  WEB_PUSH_CRON_SCHEDULE,
   WORKER_CRON_SCHEDULE,
   WORKER_CRON_TIMEZONE,
 } from "./config/config.js";
@@ -13,7 +21,7 @@ import { logger } from "./utils/logger.js";
 const log = logger.child({ service: "worker" });
 
 let isShuttingDown = false;
-let scheduledTask;
+const scheduledTasks = [];
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
 const shutdown = async (signal) => {
@@ -25,8 +33,8 @@ const shutdown = async (signal) => {
   log.warn({ signal }, "worker_shutdown_start");
 
   try {
-    if (scheduledTask) {
-      scheduledTask.stop();
+    for (const task of scheduledTasks) {
+      task.stop();
     }
 
     if (mongoose.connection.readyState === 1) {
@@ -74,9 +82,12 @@ const startWorker = async () => {
 
     // Run once on startup
     await syncYouTubeVideos();
+    await publishScheduledNews();
+    await expireBreakingNews();
+    await purgeExpiredTrash();
 
-    // Schedule job
-    scheduledTask = cron.schedule(WORKER_CRON_SCHEDULE, async () => {
+    // Schedule jobs
+    scheduledTasks.push(cron.schedule(WORKER_CRON_SCHEDULE, async () => {
       log.info("youtube_sync_cron_tick");
       try {
         await syncYouTubeVideos();
@@ -85,7 +96,48 @@ const startWorker = async () => {
       }
     }, {
       timezone: WORKER_CRON_TIMEZONE,
-    });
+    }));
+
+    scheduledTasks.push(cron.schedule(NEWS_PUBLISH_CRON_SCHEDULE, async () => {
+      try {
+        await publishScheduledNews();
+      } catch (error) {
+        log.error({ err: error }, "news_publish_cron_failed");
+      }
+    }, {
+      timezone: WORKER_CRON_TIMEZONE,
+    }));
+
+    scheduledTasks.push(cron.schedule(BREAKING_NEWS_EXPIRY_CRON_SCHEDULE, async () => {
+      try {
+        await expireBreakingNews();
+      } catch (error) {
+        log.error({ err: error }, "breaking_news_expiry_cron_failed");
+      }
+    }, {
+      timezone: WORKER_CRON_TIMEZONE,
+    }));
+
+    scheduledTasks.push(cron.schedule(NEWS_TRASH_PURGE_CRON_SCHEDULE, async () => {
+      try {
+        await purgeExpiredTrash();
+      } catch (error) {
+        log.error({ err: error }, "news_trash_purge_cron_failed");
+      }
+    }, {
+      timezone: WORKER_CRON_TIMEZONE,
+    }));
+
+    // Breaking news pushes are queued by the API; fan them out promptly
+    scheduledTasks.push(cron.schedule(WEB_PUSH_CRON_SCHEDULE, async () => {
+      try {
+        await sendPendingPushNotifications();
+      } catch (error) {
+        log.error({ err: error }, "web_push_cron_failed");
+      }
+    }, {
+      timezone: WORKER_CRON_TIMEZONE,
+    }));
 
   } catch (error) {
     log.fatal({ err: error }, "worker_failed_to_start");